@@ -0,0 +1,410 @@
+// AI provider adapters - one interface over every model backend
+// A provider row's `type` picks the adapter: Google Gemini, any OpenAI-compatible
+// chat completions API (OpenAI, vLLM, LM Studio, llama.cpp server...) or a local Ollama.
+//
+// Every adapter implements:
+//   generate({ model, prompt, maxTokens, structured })            -> { text, usage }
+//   stream({ model, prompt, maxTokens, signal, onText })          -> { text, usage }
+// where usage is { inputTokens, outputTokens } when the backend reports it (else null).
+// HTTP failures carry error.status, so routing (backoff, fallback) treats every type alike.
+//
+// AI_PROVIDER_MODE switches every client at once, for running without network or keys:
+//   live (default) - real backends
+//   fake           - deterministic offline answers and canned errors (see FakeProvider)
+//   record         - real backends, each response also saved as a fixture file
+//   replay         - answers only from recorded fixtures
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { getStructuredGenerationConfig, getStructuredJsonSchema } = require('./structured-output');
+const { estimateTokens } = require('./text-metrics');
+const { RecordingProvider, ReplayProvider } = require('./provider-fixtures');
+
+const PROVIDER_TYPES = ['google', 'openai-compatible', 'ollama', 'fake'];
+const PROVIDER_MODES = ['live', 'fake', 'record', 'replay'];
+const DEFAULT_PROVIDER_TYPE = 'google';
+const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434';
+const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const TEMPERATURE = 0.4;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.PROVIDER_REQUEST_TIMEOUT_MS) || 120000; // Local models can be slow
+
+function createProviderError(message, status) {
+    const error = new Error(message);
+    if (status) {
+        error.status = status;
+    }
+    return error;
+}
+
+/**
+ * Provider mode from AI_PROVIDER_MODE; unknown values throw like unknown types
+ */
+function getProviderMode() {
+    const mode = (process.env.AI_PROVIDER_MODE || 'live').trim().toLowerCase();
+    if (!PROVIDER_MODES.includes(mode)) {
+        throw new Error(`Unsupported AI_PROVIDER_MODE: ${process.env.AI_PROVIDER_MODE} (use one of: ${PROVIDER_MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+/**
+ * Whether models are answered without any real backend, so no API key is needed
+ */
+function isOfflineProviderMode() {
+    return ['fake', 'replay'].includes(getProviderMode());
+}
+
+/**
+ * Normalize a provider type; unknown values throw so misconfiguration is loud
+ */
+function normalizeProviderType(type) {
+    const normalized = (type || DEFAULT_PROVIDER_TYPE).trim().toLowerCase();
+    if (!PROVIDER_TYPES.includes(normalized)) {
+        throw new Error(`Unsupported provider type: ${type} (use one of: ${PROVIDER_TYPES.join(', ')})`);
+    }
+    return normalized;
+}
+
+class GoogleProvider {
+    constructor({ apiKey }) {
+        this.client = new GoogleGenerativeAI(apiKey);
+    }
+
+    getModel(model, maxTokens, structured) {
+        return this.client.getGenerativeModel({
+            model,
+            generationConfig: {
+                temperature: TEMPERATURE,
+                maxOutputTokens: maxTokens,
+                ...(structured ? getStructuredGenerationConfig() : {})
+            }
+        });
+    }
+
+    getUsage(usageMetadata) {
+        return usageMetadata
+            ? { inputTokens: usageMetadata.promptTokenCount ?? null, outputTokens: usageMetadata.candidatesTokenCount ?? null }
+            : null;
+    }
+
+    async generate({ model, prompt, maxTokens, structured = false }) {
+        const result = await this.getModel(model, maxTokens, structured).generateContent(prompt);
+        return {
+            text: result.response ? result.response.text() : '',
+            usage: this.getUsage(result.response?.usageMetadata)
+        };
+    }
+
+    async stream({ model, prompt, maxTokens, signal, onText }) {
+        const result = await this.getModel(model, maxTokens, false).generateContentStream(prompt, { signal: signal || undefined });
+        let text = '';
+
+        for await (const chunk of result.stream) {
+            const piece = chunk.text();
+            if (piece) {
+                text += piece;
+                onText(piece);
+            }
+        }
+
+        const response = await result.response;
+        return { text, usage: this.getUsage(response?.usageMetadata) };
+    }
+}
+
+/**
+ * Shared HTTP handling for the JSON APIs: errors become provider errors with
+ * a status (503 when the server could not be reached at all)
+ */
+class HttpProvider {
+    constructor({ type, baseUrl, apiKey }) {
+        this.type = type;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey || '';
+    }
+
+    getHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+        };
+    }
+
+    async post(path, body, { stream = false, signal } = {}) {
+        let response;
+        try {
+            response = await axios.post(`${this.baseUrl}${path}`, body, {
+                headers: this.getHeaders(),
+                timeout: REQUEST_TIMEOUT_MS,
+                responseType: stream ? 'stream' : 'json',
+                signal: signal || undefined,
+                validateStatus: () => true
+            });
+        } catch (error) {
+            if (signal?.aborted) {
+                throw error;
+            }
+            throw createProviderError(`${this.type} provider unreachable at ${this.baseUrl}: ${error.message}`, 503);
+        }
+
+        if (response.status >= 400) {
+            const details = stream ? await readStream(response.data) : JSON.stringify(response.data);
+            throw createProviderError(`${this.type} provider returned ${response.status}: ${String(details).slice(0, 500)}`, response.status);
+        }
+        return response;
+    }
+}
+
+async function readStream(stream) {
+    let text = '';
+    for await (const chunk of stream) {
+        text += chunk.toString();
+    }
+    return text;
+}
+
+/**
+ * Lines of a streamed response body, as they complete
+ */
+async function* readLines(stream) {
+    let buffered = '';
+    for await (const chunk of stream) {
+        buffered += chunk.toString();
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        yield* lines;
+    }
+    if (buffered) {
+        yield buffered;
+    }
+}
+
+class OpenAICompatibleProvider extends HttpProvider {
+    constructor({ baseUrl, apiKey }) {
+        super({ type: 'openai-compatible', baseUrl: baseUrl || DEFAULT_OPENAI_BASE_URL, apiKey });
+    }
+
+    buildRequest(model, prompt, maxTokens, extra = {}) {
+        return {
+            model,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: maxTokens,
+            temperature: TEMPERATURE,
+            ...extra
+        };
+    }
+
+    getUsage(usage) {
+        return usage ? { inputTokens: usage.prompt_tokens ?? null, outputTokens: usage.completion_tokens ?? null } : null;
+    }
+
+    async generate({ model, prompt, maxTokens, structured = false }) {
+        const responseFormat = structured
+            ? { response_format: { type: 'json_schema', json_schema: { name: 'summary', schema: getStructuredJsonSchema() } } }
+            : {};
+        const response = await this.post('/chat/completions', this.buildRequest(model, prompt, maxTokens, responseFormat));
+
+        return {
+            text: response.data?.choices?.[0]?.message?.content || '',
+            usage: this.getUsage(response.data?.usage)
+        };
+    }
+
+    async stream({ model, prompt, maxTokens, signal, onText }) {
+        const response = await this.post('/chat/completions', this.buildRequest(model, prompt, maxTokens, {
+            stream: true,
+            stream_options: { include_usage: true }
+        }), { stream: true, signal });
+        let text = '';
+        let usage = null;
+
+        // Server-sent events: "data: {...}" lines, ending with "data: [DONE]"
+        for await (const line of readLines(response.data)) {
+            const data = line.trim().replace(/^data:\s*/, '');
+            if (!data || data === '[DONE]' || !line.trim().startsWith('data:')) {
+                continue;
+            }
+            const event = JSON.parse(data);
+            const piece = event.choices?.[0]?.delta?.content;
+            if (piece) {
+                text += piece;
+                onText(piece);
+            }
+            usage = this.getUsage(event.usage) || usage;
+        }
+
+        return { text, usage };
+    }
+}
+
+class OllamaProvider extends HttpProvider {
+    constructor({ baseUrl }) {
+        super({ type: 'ollama', baseUrl: baseUrl || DEFAULT_OLLAMA_BASE_URL, apiKey: '' });
+    }
+
+    buildRequest(model, prompt, maxTokens, extra = {}) {
+        return {
+            model,
+            prompt,
+            options: { temperature: TEMPERATURE, num_predict: maxTokens },
+            ...extra
+        };
+    }
+
+    getUsage(result) {
+        return result && (result.prompt_eval_count !== undefined || result.eval_count !== undefined)
+            ? { inputTokens: result.prompt_eval_count ?? null, outputTokens: result.eval_count ?? null }
+            : null;
+    }
+
+    async generate({ model, prompt, maxTokens, structured = false }) {
+        const response = await this.post('/api/generate', this.buildRequest(model, prompt, maxTokens, {
+            stream: false,
+            ...(structured ? { format: getStructuredJsonSchema() } : {})
+        }));
+
+        return { text: response.data?.response || '', usage: this.getUsage(response.data) };
+    }
+
+    async stream({ model, prompt, maxTokens, signal, onText }) {
+        const response = await this.post('/api/generate', this.buildRequest(model, prompt, maxTokens, { stream: true }), { stream: true, signal });
+        let text = '';
+        let usage = null;
+
+        // Newline-delimited JSON, the last object has done: true and the token counts
+        for await (const line of readLines(response.data)) {
+            if (!line.trim()) {
+                continue;
+            }
+            const event = JSON.parse(line);
+            if (event.error) {
+                throw createProviderError(`ollama provider error: ${event.error}`, 500);
+            }
+            if (event.response) {
+                text += event.response;
+                onText(event.response);
+            }
+            if (event.done) {
+                usage = this.getUsage(event);
+            }
+        }
+
+        return { text, usage };
+    }
+}
+
+// Errors as the real backends report them, so backoff and fallback see the same thing
+const FAKE_ERRORS = {
+    '429': { status: 429, message: '[429 Too Many Requests] Resource has been exhausted (e.g. check quota).' },
+    '401': { status: 401, message: '[401 Unauthorized] API key not valid. Please pass a valid API key.' },
+    '503': { status: 503, message: '[503 Service Unavailable] The model is overloaded. Please try again later.' },
+    'safety': { message: '[GoogleGenerativeAI Error]: Candidate was blocked due to SAFETY' }
+};
+const FAKE_SCENARIOS = [...Object.keys(FAKE_ERRORS), 'empty'];
+const FAKE_SCENARIO_MARKER = /\[\[fake:([\w-]+)\]\]/; // Put in the content to pick a scenario per request
+
+/**
+ * Offline provider with deterministic answers: the same prompt always gives the same summary.
+ * Failures are scripted per model with FAKE_PROVIDER_SCENARIOS ("gemini-2.0-flash=429,*=503")
+ * or per request with a [[fake:<scenario>]] marker in the content. Scenarios: 429, 401, 503,
+ * safety (blocked response) and empty (empty response).
+ */
+class FakeProvider {
+    getScenario(model, prompt) {
+        const marker = prompt.match(FAKE_SCENARIO_MARKER);
+        if (marker) {
+            return marker[1];
+        }
+
+        const scenarios = new Map((process.env.FAKE_PROVIDER_SCENARIOS || '').split(',')
+            .map(entry => entry.split('=').map(part => part.trim()))
+            .filter(([name, scenario]) => name && scenario));
+        return scenarios.get(model) || scenarios.get('*') || null;
+    }
+
+    buildText(model, prompt, maxTokens, structured) {
+        const hash = crypto.createHash('sha256').update(`${model}\n${prompt}`).digest('hex').slice(0, 8);
+        const words = prompt.replace(/\s+/g, ' ').trim().split(' ');
+        const excerpt = words.slice(-12).join(' ');
+
+        if (structured) {
+            return JSON.stringify({
+                title: `Fake summary ${hash}`,
+                abstract: `Deterministic summary from ${model} of a ${words.length}-word prompt.`,
+                keyPoints: [`Prompt ends with: ${excerpt}`],
+                entities: [],
+                topics: ['fake']
+            });
+        }
+
+        const text = `## Fake summary ${hash}\n\n- Generated offline by ${model} from a ${words.length}-word prompt\n- Prompt ends with: ${excerpt}`;
+        return text.slice(0, Math.max(1, maxTokens || 0) * 4);
+    }
+
+    respond({ model, prompt, maxTokens, structured = false }) {
+        const scenario = this.getScenario(model, prompt);
+        if (scenario && !FAKE_SCENARIOS.includes(scenario)) {
+            throw new Error(`Unknown fake provider scenario: ${scenario} (use one of: ${FAKE_SCENARIOS.join(', ')})`);
+        }
+        if (FAKE_ERRORS[scenario]) {
+            throw createProviderError(FAKE_ERRORS[scenario].message, FAKE_ERRORS[scenario].status);
+        }
+
+        const text = scenario === 'empty' ? '' : this.buildText(model, prompt, maxTokens, structured);
+        return { text, usage: { inputTokens: estimateTokens(prompt), outputTokens: estimateTokens(text) } };
+    }
+
+    async generate(request) {
+        return this.respond(request);
+    }
+
+    async stream({ model, prompt, maxTokens, signal, onText }) {
+        const result = this.respond({ model, prompt, maxTokens });
+
+        for (const piece of result.text.match(/\S+\s*/g) || []) {
+            if (signal?.aborted) {
+                throw createProviderError('Stream aborted');
+            }
+            onText(piece);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return result;
+    }
+}
+
+const ADAPTERS = {
+    'google': GoogleProvider,
+    'openai-compatible': OpenAICompatibleProvider,
+    'ollama': OllamaProvider,
+    'fake': FakeProvider
+};
+
+/**
+ * Client for a provider: { type, apiKey, baseUrl }, wrapped for AI_PROVIDER_MODE
+ */
+function createProviderClient({ type, apiKey, baseUrl }) {
+    const providerType = normalizeProviderType(type);
+    const mode = getProviderMode();
+
+    if (mode === 'fake') {
+        return new FakeProvider();
+    }
+    if (mode === 'replay') {
+        return new ReplayProvider(providerType);
+    }
+
+    const Adapter = ADAPTERS[providerType];
+    const client = new Adapter({ apiKey, baseUrl });
+    return mode === 'record' ? new RecordingProvider(providerType, client) : client;
+}
+
+module.exports = {
+    PROVIDER_TYPES,
+    PROVIDER_MODES,
+    DEFAULT_PROVIDER_TYPE,
+    getProviderMode,
+    isOfflineProviderMode,
+    normalizeProviderType,
+    createProviderClient
+};
@@ -1,34 +1,163 @@
-// AI Router with multiple Google API support, rate limiting, and automatic failover
-// Manages multiple Google API keys and models with intelligent routing
+// AI Router with multiple provider support, rate limiting, and automatic failover
+// Manages Google API keys, OpenAI-compatible endpoints and local Ollama models with intelligent routing.
+// The one routing engine: synchronous requests and queued jobs share its model catalogue,
+// rate counters and backoff state in the queue database.
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { 
     getAvailableModels, 
-    checkAndIncrementRateLimit, 
+    reserveModelUsage,
+    correctModelUsage,
     setProviderBackoff,
-    incrementJobAttempt 
+    recordModelTry 
 } = require('./queue-database');
+const { estimateRequestTokens } = require('./content-extractor');
+const { summarizeInChunks } = require('./map-reduce');
+const { buildPrompt, wantsStructuredOutput } = require('./prompt-templates');
+const { generateStructuredSummary } = require('./structured-output');
+const { createProviderClient, getProviderMode } = require('./ai-providers');
+
+/**
+ * Error raised when no model could be tried because of rate limits or backoff.
+ * Callers can wait for capacity instead of treating it as a failed attempt.
+ */
+function createCapacityError(message) {
+    const error = new Error(message);
+    error.code = 'NO_CAPACITY';
+    return error;
+}
+
+/**
+ * Input tokens the provider reported across the calls of one model attempt
+ * (structured output may retry); complete is false when a call reported nothing
+ */
+function createUsageTracker() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, complete: true };
+}
+
+function trackUsage(tracker, usage) {
+    if (!tracker) {
+        return;
+    }
+    tracker.calls++;
+    if (!usage || typeof usage.inputTokens !== 'number') {
+        tracker.complete = false;
+        return;
+    }
+    tracker.inputTokens += usage.inputTokens;
+    tracker.outputTokens += usage.outputTokens || 0;
+}
+
+/**
+ * Error raised when the only models left to take a request have a smaller input budget
+ * than it needs. inputTokenLimit is the largest of those budgets, so a document can be
+ * chunked again to fit them.
+ */
+function createInputTooLargeError(message, inputTokenLimit) {
+    const error = new Error(message);
+    error.code = 'INPUT_TOO_LARGE';
+    error.inputTokenLimit = inputTokenLimit;
+    return error;
+}
+
+// Add one attempt's usage to a caller's running total (options.usage)
+function addUsage(total, usage) {
+    if (!total) {
+        return;
+    }
+    total.calls += usage.calls;
+    total.inputTokens += usage.inputTokens;
+    total.outputTokens += usage.outputTokens;
+    total.complete = total.complete && usage.complete;
+}
 
 class AIRouter {
     constructor() {
-        this.aiInstances = new Map(); // Cache AI instances by API key
+        this.providerClients = new Map(); // Cache provider clients by type, endpoint and key
         this.lastFailover = new Map(); // Track failover times per provider
     }
 
     /**
-     * Get or create Google AI instance for given API key
+     * Get or create the provider client (adapter) for a model row
      */
-    getAIInstance(apiKey) {
-        if (!this.aiInstances.has(apiKey)) {
-            this.aiInstances.set(apiKey, new GoogleGenerativeAI(apiKey));
+    getProviderClient(model) {
+        const type = model.provider_type || 'google';
+        const cacheKey = `${type}|${model.base_url || ''}|${model.api_key}`;
+        if (!this.providerClients.has(cacheKey)) {
+            this.providerClients.set(cacheKey, createProviderClient({ type, apiKey: model.api_key, baseUrl: model.base_url }));
         }
-        return this.aiInstances.get(apiKey);
+        return this.providerClients.get(cacheKey);
+    }
+
+    /**
+     * Run a map-reduce summary with chunks sized for the top-priority model's input budget.
+     * When failover can only reach models with a smaller budget, the document is chunked
+     * again for them and summarized from the start.
+     */
+    async withChunkBudget(fileId, run) {
+        const availableModels = await getAvailableModels();
+        let inputTokenLimit = availableModels[0]?.input_token_limit || undefined;
+
+        while (true) {
+            try {
+                return await run(inputTokenLimit);
+            } catch (error) {
+                if (error.code !== 'INPUT_TOO_LARGE' || !(error.inputTokenLimit < (inputTokenLimit || Infinity))) {
+                    throw error;
+                }
+                console.log(`📐 [${fileId}] Only models with a ${error.inputTokenLimit}-token input limit are left, chunking again`);
+                inputTokenLimit = error.inputTokenLimit;
+            }
+        }
+    }
+
+    /**
+     * Summarize a document given as content blocks. Documents larger than the
+     * top-priority model's input budget are summarized chunk by chunk (map-reduce).
+     * options: { template, variables, language, onProgress, usage }
+     * where usage (see createUsageTracker) collects every model call the document took
+     */
+    async summarizeDocument(blocks, maxTokens, fileId, jobId, options = {}) {
+        const promptOptions = { template: options.template, variables: options.variables, language: options.language, usage: options.usage };
+
+        return this.withChunkBudget(fileId, inputTokenLimit => summarizeInChunks(blocks, maxTokens, {
+            inputTokenLimit,
+            summarize: (content, partMaxTokens, callOptions) => this.summarizeContent(content, partMaxTokens, fileId, jobId, { ...promptOptions, ...callOptions }),
+            fileId,
+            onProgress: options.onProgress,
+            language: options.language
+        }));
+    }
+
+    /**
+     * Streaming variant of summarizeDocument: map steps run normally, the final summary
+     * is streamed to options.onText. Returns { summary, model }.
+     * options: { template, variables, language, onProgress, onText, signal, usage }
+     */
+    async streamDocument(blocks, maxTokens, fileId, jobId, options = {}) {
+        const promptOptions = { template: options.template, variables: options.variables, language: options.language, usage: options.usage };
+        let modelUsed = null;
+
+        const summary = await this.withChunkBudget(fileId, inputTokenLimit => summarizeInChunks(blocks, maxTokens, {
+            inputTokenLimit,
+            summarize: (content, partMaxTokens, callOptions) => this.summarizeContent(content, partMaxTokens, fileId, jobId, { ...promptOptions, ...callOptions }),
+            summarizeFinal: async (content, finalMaxTokens, callOptions) => {
+                const result = await this.streamSummary(content, finalMaxTokens, fileId, jobId, { ...options, ...callOptions });
+                modelUsed = result.model;
+                return result.summary;
+            },
+            fileId,
+            onProgress: options.onProgress,
+            language: options.language
+        }));
+
+        return { summary, model: modelUsed };
     }
 
     /**
      * Summarize content with automatic model selection and failover
+     * options: { template, variables, language } or a ready-made options.prompt (map-reduce parts)
      */
-    async summarizeContent(content, maxTokens, fileId, jobId) {
+    async summarizeContent(content, maxTokens, fileId, jobId, options = {}) {
         if (!content || content.trim().length === 0) {
             throw new Error('Content is empty or invalid');
         }
@@ -37,40 +166,105 @@ class AIRouter {
         console.log(`📏 [${fileId}] Content length: ${content.length} characters`);
         console.log(`🎯 [${fileId}] Max tokens: ${maxTokens}`);
 
+        return this.routeRequest(content, maxTokens, fileId, jobId, options,
+            (model, usage) => this.callAIModel(model, content, maxTokens, fileId, options, usage));
+    }
+
+    /**
+     * Stream a summary to options.onText, returning { summary, model }.
+     * Falls back to the next model only while nothing has been sent yet.
+     */
+    async streamSummary(content, maxTokens, fileId, jobId, options = {}) {
+        if (!content || content.trim().length === 0) {
+            throw new Error('Content is empty or invalid');
+        }
+
+        console.log(`📡 [${fileId}] Starting streaming AI summarization with router...`);
+
+        let hasOutput = false;
+        const streamOptions = {
+            ...options,
+            onText: (text) => {
+                hasOutput = true;
+                options.onText(text);
+            }
+        };
+
+        return this.routeRequest(content, maxTokens, fileId, jobId, options,
+            async (model, usage) => ({
+                summary: await this.streamAIModel(model, content, maxTokens, fileId, streamOptions, usage),
+                model: model.model_name
+            }),
+            // Output already reached the client, or the client left: no fallback
+            () => hasOutput || options.signal?.aborted);
+    }
+
+    /**
+     * Try available models in priority order until attempt(model, usage) succeeds.
+     * Rate limits, token limits, input limits, try records and backoff are handled here
+     * for every caller; isFinalError(error) stops the failover after a failed attempt.
+     */
+    async routeRequest(content, maxTokens, fileId, jobId, options, attempt, isFinalError = () => false) {
         // Get available models sorted by priority
         const availableModels = await getAvailableModels();
         
         if (availableModels.length === 0) {
-            throw new Error('No available AI models configured');
+            throw createCapacityError('No available AI models configured (or all providers are backed off)');
         }
 
         console.log(`📋 [${fileId}] Found ${availableModels.length} available models`);
 
         let lastError = null;
+        let modelsTried = 0;
+        let modelsTooSmall = 0;
+        let largestTooSmallLimit = 0; // Budget a smaller request would need to fit a skipped model
+        const inputTokens = estimateRequestTokens(buildPrompt(content, options));
+        const requestTokens = inputTokens + maxTokens;
         
         // Try each model in order of priority
         for (const model of availableModels) {
+            let reservation = null;
+            const usage = createUsageTracker();
             try {
-                console.log(`🔄 [${fileId}] Trying model: ${model.model_name} (provider: ${model.provider_name})`);
-                
-                // Check rate limits (both minute and day)
-                const minuteCheck = await this.checkRateLimit(model.id, 'minute');
-                if (!minuteCheck.allowed) {
-                    console.log(`⏰ [${fileId}] Model ${model.model_name} minute limit exceeded (${minuteCheck.count}/${minuteCheck.limit})`);
+                if (model.input_token_limit && requestTokens > model.input_token_limit) {
+                    console.log(`📐 [${fileId}] Model ${model.model_name} input limit too small (~${requestTokens} > ${model.input_token_limit} tokens)`);
+                    modelsTooSmall++;
+                    largestTooSmallLimit = Math.max(largestTooSmallLimit, model.input_token_limit);
                     continue;
                 }
 
-                const dayCheck = await this.checkRateLimit(model.id, 'day');
-                if (!dayCheck.allowed) {
-                    console.log(`📅 [${fileId}] Model ${model.model_name} daily limit exceeded (${dayCheck.count}/${dayCheck.limit})`);
+                // A request larger than a whole token window would never get headroom
+                const tokenLimit = Math.min(model.per_minute_token_limit || Infinity, model.per_day_token_limit || Infinity);
+                if (inputTokens > tokenLimit) {
+                    console.log(`📐 [${fileId}] Model ${model.model_name} token rate limit too small (~${inputTokens} > ${tokenLimit} tokens)`);
+                    modelsTooSmall++;
+                    largestTooSmallLimit = Math.max(largestTooSmallLimit, Math.min(model.input_token_limit || Infinity, tokenLimit + maxTokens));
                     continue;
                 }
 
+                console.log(`🔄 [${fileId}] Trying model: ${model.model_name} (provider: ${model.provider_name})`);
+                
+                // Reserve a request and the estimated input tokens (both minute and day)
+                const check = await this.reserveRateLimit(model, inputTokens);
+                if (!check.allowed) {
+                    const [icon, window] = check.period === 'day' ? ['📅', 'daily'] : ['⏰', 'minute'];
+                    if (check.reason === 'tokens') {
+                        console.log(`${icon} [${fileId}] Model ${model.model_name} ${window} token limit exceeded (${check.used} used + ~${inputTokens} > ${check.limit})`);
+                    } else {
+                        console.log(`${icon} [${fileId}] Model ${model.model_name} ${window} limit exceeded (${check.used}/${check.limit})`);
+                    }
+                    continue;
+                }
+                reservation = check.reservation;
+
                 // Attempt to use this model
-                const result = await this.callAIModel(model, content, maxTokens, fileId);
+                modelsTried++;
+                const result = await attempt(model, usage);
+                await this.correctTokenUsage(model, reservation, usage, fileId);
+                addUsage(options.usage, usage);
                 
-                // Record successful attempt
-                await incrementJobAttempt(jobId, model.provider_id, model.id, true, null);
+                // Record successful try
+                await this.recordTry(jobId, model, true, null);
                 
                 console.log(`✅ [${fileId}] Successfully generated summary using ${model.model_name}`);
                 return result;
@@ -78,81 +272,126 @@ class AIRouter {
             } catch (error) {
                 console.log(`❌ [${fileId}] Model ${model.model_name} failed: ${error.message}`);
                 lastError = error;
+
+                // Tokens the provider reported for failed calls count too; otherwise the estimate stays
+                if (reservation) {
+                    await this.correctTokenUsage(model, reservation, usage, fileId);
+                    addUsage(options.usage, usage);
+                }
                 
-                // Record failed attempt
-                await incrementJobAttempt(jobId, model.provider_id, model.id, false, error.message);
+                // Record failed try
+                await this.recordTry(jobId, model, false, error.message);
                 
                 // Handle specific error types
                 await this.handleModelError(model, error, fileId);
+
+                if (isFinalError(error)) {
+                    throw error;
+                }
                 
                 // Continue to next model
                 continue;
             }
         }
 
+        // Waiting won't help if no model can take a request this large
+        if (modelsTooSmall === availableModels.length) {
+            throw createInputTooLargeError(`Request of ~${requestTokens} tokens exceeds the input limit of every available model`, largestTooSmallLimit);
+        }
+
+        // The models that could take it failed or are at their limits; a smaller request may fit the rest
+        if (modelsTooSmall > 0) {
+            throw createInputTooLargeError(`Request of ~${requestTokens} tokens is too large for the remaining models (last error: ${lastError?.message || 'rate limits'})`, largestTooSmallLimit);
+        }
+
+        // Every model was skipped for rate limits: nothing was actually tried
+        if (modelsTried === 0) {
+            throw createCapacityError('All available AI models are at their rate limits');
+        }
+
         // All models failed
         throw new Error(`All available AI models failed. Last error: ${lastError?.message || 'Unknown error'}`);
     }
 
     /**
-     * Check rate limit with atomic increment
+     * Record a model try against the job (skipped for requests without a job)
      */
-    async checkRateLimit(modelId, period) {
+    async recordTry(jobId, model, success, error) {
+        if (!jobId) {
+            return;
+        }
         try {
-            return await checkAndIncrementRateLimit(modelId, period);
-        } catch (error) {
-            console.error(`Rate limit check failed for model ${modelId}:`, error);
-            return { allowed: false, error: error.message };
+            await recordModelTry(jobId, model.provider_id, model.id, success, error);
+        } catch (recordError) {
+            console.error(`Failed to record model try for job ${jobId}:`, recordError.message);
         }
     }
 
     /**
-     * Call AI model with the actual Google API
+     * Reserve a request and estimated input tokens against the model's limits (atomic)
      */
-    async callAIModel(model, content, maxTokens, fileId) {
-        const ai = this.getAIInstance(model.api_key);
-        
-        // Create enhanced prompt with formatting instructions
-        const fullPrompt = `Summarize this content in English. Use markdown formatting for better readability:
-
-IMPORTANT FORMATTING REQUIREMENTS:
-- Use # for main title/heading
-- Use ## for important sections  
-- Use **bold** for key points
-- Use - for bullet points
-- Use proper line breaks between sections
-- Make the summary well-structured and visually appealing
-
-Content to summarize:
+    async reserveRateLimit(model, inputTokens) {
+        try {
+            return await reserveModelUsage(model.id, inputTokens);
+        } catch (error) {
+            console.error(`Rate limit check failed for model ${model.id}:`, error);
+            return { allowed: false, period: 'minute', reason: 'requests', error: error.message };
+        }
+    }
 
-${content}`;
+    /**
+     * Swap the reserved token estimate for the input tokens the provider reported
+     * (usageMetadata for Gemini), and count every call past the first (structured output
+     * retries) as a request. Calls that reported no usage count as estimated.
+     */
+    async correctTokenUsage(model, reservation, usage, fileId) {
+        if (usage.calls === 0) {
+            return;
+        }
+        const extraRequests = usage.calls - 1;
+        const actualTokens = usage.complete ? usage.inputTokens : reservation.tokens * usage.calls;
+        try {
+            await correctModelUsage(reservation, actualTokens, extraRequests);
+            if (usage.complete) {
+                console.log(`🪙 [${fileId}] ${model.model_name} input tokens: ~${reservation.tokens} estimated, ${usage.inputTokens} reported (${usage.outputTokens} output)`);
+            }
+            if (extraRequests > 0) {
+                console.log(`🪙 [${fileId}] ${model.model_name} made ${usage.calls} calls; ${extraRequests} more counted against its request limits`);
+            }
+        } catch (error) {
+            console.error(`Failed to correct token usage for model ${model.id}:`, error.message);
+        }
+    }
 
-        console.log(`🚀 [${fileId}] Calling ${model.model_name}...`);
+    /**
+     * Call AI model through its provider's adapter.
+     * JSON templates are answered with the response schema and validated;
+     * invalid output is retried, then thrown so the next model is tried.
+     */
+    async callAIModel(model, content, maxTokens, fileId, options = {}, usage = null) {
+        const client = this.getProviderClient(model);
+        const structured = wantsStructuredOutput(options);
         
-        // Create model instance with configuration
-        const aiModel = ai.getGenerativeModel({ 
-            model: model.model_name,
-            generationConfig: {
-                temperature: 0.4,
-                maxOutputTokens: maxTokens
-            }
-        });
+        // Prompt from the requested template (or a ready-made map-reduce prompt)
+        const request = { model: model.model_name, prompt: buildPrompt(content, options), maxTokens, structured };
 
-        // Make the API call
-        const result = await aiModel.generateContent(fullPrompt);
+        console.log(`🚀 [${fileId}] Calling ${model.model_name} (${model.provider_type || 'google'})${structured ? ' (structured output)' : ''}...`);
 
-        // Extract text using modern SDK method
-        let summary = '';
-        if (result.response) {
-            summary = result.response.text();
+        if (structured) {
+            return generateStructuredSummary(() => this.generateText(client, request, fileId, usage), fileId);
         }
+        return this.generateText(client, request, fileId, usage);
+    }
+
+    /**
+     * Make the API call and return the response text
+     */
+    async generateText(client, request, fileId, usageTracker = null) {
+        const { text: summary, usage } = await client.generate(request);
+        trackUsage(usageTracker, usage);
         
         if (!summary || summary.trim().length === 0) {
-            console.error(`[${fileId}] Empty response details:`, {
-                hasResponse: !!result.response,
-                responseKeys: result.response ? Object.keys(result.response) : [],
-                usageMetadata: result.response?.usageMetadata
-            });
+            console.error(`[${fileId}] Empty response details:`, { model: request.model, usage });
             throw new Error('AI returned empty summary');
         }
 
@@ -160,10 +399,40 @@ ${content}`;
         return summary.trim();
     }
 
+    /**
+     * Streaming model call through its provider's adapter, forwarding each text chunk to options.onText
+     */
+    async streamAIModel(model, content, maxTokens, fileId, options = {}, usage = null) {
+        const client = this.getProviderClient(model);
+
+        console.log(`🚀 [${fileId}] Streaming from ${model.model_name} (${model.provider_type || 'google'})...`);
+
+        const { text: summary, usage: streamUsage } = await client.stream({
+            model: model.model_name,
+            prompt: buildPrompt(content, options),
+            maxTokens,
+            signal: options.signal,
+            onText: options.onText
+        });
+        trackUsage(usage, streamUsage);
+
+        if (summary.trim().length === 0) {
+            throw new Error('AI returned empty summary');
+        }
+
+        console.log(`📝 [${fileId}] Streamed summary: ${summary.length} characters`);
+        return summary.trim();
+    }
+
     /**
      * Handle specific model errors and apply backoff if needed
      */
     async handleModelError(model, error, fileId) {
+        // Output that failed schema validation says nothing about the provider's health
+        if (error.code === 'INVALID_OUTPUT') {
+            return;
+        }
+
         const errorMessage = error.message.toLowerCase();
         
         // Handle quota exceeded errors
@@ -245,15 +514,20 @@ ${content}`;
             
             const status = {
                 configured: models.length > 0,
+                mode: getProviderMode(),
                 availableModels: models.length,
                 providers: [...new Set(models.map(m => m.provider_name))],
                 models: models.map(m => ({
                     id: m.id,
                     name: m.model_name,
                     provider: m.provider_name,
+                    providerType: m.provider_type,
                     enabled: !!m.enabled,
+                    priority: m.priority,
                     perMinuteLimit: m.per_minute_limit,
-                    perDayLimit: m.per_day_limit
+                    perDayLimit: m.per_day_limit,
+                    perMinuteTokenLimit: m.per_minute_token_limit,
+                    perDayTokenLimit: m.per_day_token_limit
                 }))
             };
 
@@ -270,10 +544,10 @@ ${content}`;
     }
 
     /**
-     * Clear all cached AI instances (useful for key rotation)
+     * Clear all cached provider clients (useful for key rotation)
      */
     clearCache() {
-        this.aiInstances.clear();
+        this.providerClients.clear();
         this.lastFailover.clear();
         console.log('🧹 AI Router cache cleared');
     }
@@ -284,5 +558,6 @@ const aiRouter = new AIRouter();
 
 module.exports = {
     AIRouter,
-    aiRouter
+    aiRouter,
+    createUsageTracker
 };
@@ -0,0 +1,165 @@
+// Callback Dispatcher - Delivers stored job results from the callback outbox
+// Retries failed deliveries with backoff, independently of AI processing
+
+const axios = require('axios');
+const { claimDueDeliveries, finishDeliveryAttempt } = require('./queue-database');
+const { signPayload } = require('./callback-signing');
+
+class CallbackDispatcher {
+    constructor(dispatcherId = null, options = {}) {
+        this.dispatcherId = dispatcherId || `dispatcher-${process.pid}-${Date.now()}`;
+        this.isRunning = false;
+        this.pollInterval = options.pollInterval || 1000; // Check the outbox every second
+        this.batchSize = options.batchSize || 10; // Deliveries sent at once
+        this.requestTimeout = options.requestTimeout || 10000;
+        this.retryBaseDelay = options.retryBaseDelay || 10 * 1000; // First redelivery after ~10 seconds
+        this.retryMaxDelay = options.retryMaxDelay || 30 * 60 * 1000; // Never wait more than 30 minutes
+
+        this.activeDeliveries = new Set();
+        this.delivered = 0;
+        this.failedAttempts = 0;
+    }
+
+    /**
+     * Start polling the outbox
+     */
+    async start() {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        console.log(`📮 Starting callback dispatcher: ${this.dispatcherId}`);
+        this.dispatchLoop();
+    }
+
+    /**
+     * Stop polling and wait for in-flight deliveries
+     */
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        this.isRunning = false;
+        while (this.activeDeliveries.size > 0) {
+            await this.sleep(200);
+        }
+        console.log(`✅ Callback dispatcher ${this.dispatcherId} stopped`);
+    }
+
+    /**
+     * Main dispatch loop
+     */
+    async dispatchLoop() {
+        while (this.isRunning) {
+            try {
+                const deliveries = await claimDueDeliveries(this.dispatcherId, this.batchSize);
+
+                if (deliveries.length > 0) {
+                    await Promise.all(deliveries.map(delivery => this.deliver(delivery)));
+                } else {
+                    await this.sleep(this.pollInterval);
+                }
+            } catch (error) {
+                console.error(`❌ Error in callback dispatch loop:`, error);
+                await this.sleep(this.pollInterval);
+            }
+        }
+    }
+
+    /**
+     * Send one delivery and record the outcome
+     */
+    async deliver(delivery) {
+        this.activeDeliveries.add(delivery.id);
+        const fileId = delivery.payload?.fileId || delivery.job_id;
+        const startTime = Date.now();
+        let statusCode = null;
+
+        try {
+            console.log(`📤 [${fileId}] Delivering result (delivery ${delivery.id}, attempt ${delivery.attempts}/${delivery.max_attempts})...`);
+
+            const { body, header } = signPayload(delivery.payload);
+            const response = await axios.post(delivery.target_url, body, {
+                timeout: this.requestTimeout,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-internal-auth': header
+                },
+                validateStatus: () => true
+            });
+            statusCode = response.status;
+
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(`Client callback failed with status: ${response.status}`);
+            }
+
+            await finishDeliveryAttempt(delivery, {
+                success: true,
+                statusCode,
+                durationMs: Date.now() - startTime
+            });
+            this.delivered++;
+            console.log(`✅ [${fileId}] Result delivered to ${delivery.target_url}`);
+
+        } catch (error) {
+            this.failedAttempts++;
+            const canRetry = delivery.attempts < delivery.max_attempts;
+            const retryDelayMs = canRetry ? this.computeRetryDelay(delivery.attempts) : null;
+
+            await finishDeliveryAttempt(delivery, {
+                success: false,
+                statusCode,
+                error: error.message,
+                durationMs: Date.now() - startTime,
+                retryDelayMs
+            }).catch(recordError => console.error(`❌ [${fileId}] Failed to record delivery attempt:`, recordError.message));
+
+            if (canRetry) {
+                console.error(`❌ [${fileId}] Delivery ${delivery.id} failed, retrying in ${Math.round(retryDelayMs / 1000)}s:`, error.message);
+            } else {
+                console.error(`💀 [${fileId}] Delivery ${delivery.id} failed after ${delivery.max_attempts} attempts:`, error.message);
+            }
+        } finally {
+            this.activeDeliveries.delete(delivery.id);
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter, same shape as job retries
+     */
+    computeRetryDelay(attemptNumber) {
+        const exponent = Math.max(0, attemptNumber - 1);
+        const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, exponent));
+        return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+    }
+
+    /**
+     * Get dispatcher statistics
+     */
+    getStats() {
+        return {
+            dispatcherId: this.dispatcherId,
+            isRunning: this.isRunning,
+            activeDeliveries: this.activeDeliveries.size,
+            delivered: this.delivered,
+            failedAttempts: this.failedAttempts
+        };
+    }
+
+    /**
+     * Sleep helper
+     */
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+// Export both the class and a default instance
+const callbackDispatcher = new CallbackDispatcher();
+
+module.exports = {
+    CallbackDispatcher,
+    callbackDispatcher
+};
@@ -0,0 +1,176 @@
+// Callback signing - HMAC signatures for x-internal-auth with key rotation
+// Shared by every outgoing callback and by anything that verifies them
+//
+// Header format: "<keyId>.<timestamp>.<hex hmac-sha256 of `${timestamp}.${body}`>"
+// The legacy "<timestamp>.<hmac>" format (no key id) is still accepted by verifySignature.
+
+const crypto = require('crypto');
+
+const DEV_SECRET = 'development-internal-secret-for-mvp-only';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const DEFAULT_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Signatures already accepted, kept until they fall outside the tolerance window
+const seenSignatures = new Map();
+
+function createSigningError(message) {
+    const error = new Error(message);
+    error.code = 'SIGNING_CONFIG';
+    return error;
+}
+
+/**
+ * Load the active signing keys.
+ * INTERNAL_SECRETS="2024-06:secretA,2024-09:secretB" lists every key still
+ * accepted during a rotation; INTERNAL_SIGNING_KEY_ID picks the one used to
+ * sign (defaults to the last listed). A lone INTERNAL_SECRET is key "default".
+ */
+function getSigningKeys() {
+    const keys = new Map();
+
+    (process.env.INTERNAL_SECRETS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+            const separator = entry.indexOf(':');
+            const keyId = separator > 0 ? entry.slice(0, separator) : '';
+            const secret = separator > 0 ? entry.slice(separator + 1) : '';
+            if (!KEY_ID_PATTERN.test(keyId) || !secret) {
+                throw createSigningError(`Invalid INTERNAL_SECRETS entry (expected keyId:secret): ${keyId || entry.slice(0, 8)}...`);
+            }
+            keys.set(keyId, secret);
+        });
+
+    if (keys.size === 0 && process.env.INTERNAL_SECRET) {
+        keys.set('default', process.env.INTERNAL_SECRET);
+    }
+
+    for (const [keyId, secret] of keys) {
+        if (secret === DEV_SECRET) {
+            throw createSigningError(`Signing key ${keyId} uses the development default secret - security risk!`);
+        }
+    }
+
+    return keys;
+}
+
+/**
+ * Key ID and secret used to sign outgoing callbacks
+ */
+function getActiveSigningKey() {
+    const keys = getSigningKeys();
+    if (keys.size === 0) {
+        throw createSigningError('Server configuration error: INTERNAL_SECRET or INTERNAL_SECRETS required');
+    }
+
+    const keyId = process.env.INTERNAL_SIGNING_KEY_ID || [...keys.keys()].pop();
+    if (!keys.has(keyId)) {
+        throw createSigningError(`INTERNAL_SIGNING_KEY_ID ${keyId} is not among the configured keys`);
+    }
+
+    return { keyId, secret: keys.get(keyId) };
+}
+
+function computeSignature(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${timestamp}.${body}`)
+        .digest('hex');
+}
+
+/**
+ * Sign a payload. Returns the exact body to send with its x-internal-auth header,
+ * so the bytes on the wire are the bytes that were signed.
+ */
+function signPayload(payload) {
+    const { keyId, secret } = getActiveSigningKey();
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const timestamp = Date.now().toString();
+
+    return {
+        body,
+        header: `${keyId}.${timestamp}.${computeSignature(secret, timestamp, body)}`
+    };
+}
+
+/**
+ * Verify an x-internal-auth header against the raw request body.
+ * Checks the key is active, the timestamp is within tolerance and the
+ * signature has not been seen before (replay protection).
+ * Returns { valid: true, keyId } or { valid: false, reason }.
+ */
+function verifySignature(header, body, options = {}) {
+    const toleranceMs = options.toleranceMs || parseInt(process.env.INTERNAL_AUTH_TOLERANCE_MS) || DEFAULT_TOLERANCE_MS;
+    const now = options.now || Date.now();
+
+    if (!header || typeof header !== 'string') {
+        return { valid: false, reason: 'Missing signature' };
+    }
+
+    const parts = header.split('.');
+    let keyId = null;
+    let timestamp;
+    let signature;
+    if (parts.length === 3) {
+        [keyId, timestamp, signature] = parts;
+    } else if (parts.length === 2) {
+        [timestamp, signature] = parts;
+    } else {
+        return { valid: false, reason: 'Malformed signature header' };
+    }
+
+    const timestampMs = Number(timestamp);
+    if (!/^\d+$/.test(timestamp) || Math.abs(now - timestampMs) > toleranceMs) {
+        return { valid: false, reason: 'Signature timestamp outside tolerance' };
+    }
+
+    let keys;
+    try {
+        keys = getSigningKeys();
+    } catch (error) {
+        return { valid: false, reason: error.message };
+    }
+
+    // Legacy headers carry no key id, so every active key is tried
+    const candidates = keyId ? (keys.has(keyId) ? [[keyId, keys.get(keyId)]] : []) : [...keys.entries()];
+    if (candidates.length === 0) {
+        return { valid: false, reason: `Unknown signing key: ${keyId}` };
+    }
+
+    const rawBody = typeof body === 'string' || Buffer.isBuffer(body) ? body.toString() : JSON.stringify(body);
+    const provided = Buffer.from(signature, 'hex');
+    const match = candidates.find(([, secret]) => {
+        const expected = Buffer.from(computeSignature(secret, timestamp, rawBody), 'hex');
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    });
+
+    if (!match) {
+        return { valid: false, reason: 'Invalid signature' };
+    }
+
+    pruneSeenSignatures(now, toleranceMs);
+    if (seenSignatures.has(signature)) {
+        return { valid: false, reason: 'Signature already used (replay)' };
+    }
+    seenSignatures.set(signature, timestampMs);
+
+    return { valid: true, keyId: match[0] };
+}
+
+/**
+ * Forget signatures old enough that their timestamp would be rejected anyway
+ */
+function pruneSeenSignatures(now, toleranceMs) {
+    for (const [signature, timestampMs] of seenSignatures) {
+        if (now - timestampMs > toleranceMs) {
+            seenSignatures.delete(signature);
+        }
+    }
+}
+
+module.exports = {
+    getSigningKeys,
+    getActiveSigningKey,
+    signPayload,
+    verifySignature
+};
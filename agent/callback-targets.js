@@ -0,0 +1,97 @@
+// Callback targets - default URL, allowlist validation and event names
+// Every callback URL accepted from a request or subscription goes through here
+
+const CALLBACK_EVENTS = ['job.succeeded', 'job.dead', 'job.progress'];
+
+// Events sent to a job's own callback URL when the request doesn't choose
+const DEFAULT_JOB_EVENTS = ['job.succeeded'];
+
+/**
+ * Callback URL used when a request doesn't provide one
+ */
+function getDefaultCallbackUrl() {
+    return process.env.DEFAULT_CALLBACK_URL || 'http://localhost:5000/api/summary-callback';
+}
+
+/**
+ * Allowed callback destinations from CALLBACK_URL_ALLOWLIST (comma-separated).
+ * Each entry is an origin, optionally with a path prefix, e.g.
+ * "http://localhost:5000,https://reader.internal/hooks/".
+ * Defaults to the origin of the default callback URL.
+ */
+function getCallbackAllowlist() {
+    const configured = (process.env.CALLBACK_URL_ALLOWLIST || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean);
+
+    const entries = configured.length > 0 ? configured : [new URL(getDefaultCallbackUrl()).origin];
+
+    return entries.map(entry => {
+        const url = new URL(entry);
+        return { origin: url.origin, pathPrefix: url.pathname };
+    });
+}
+
+function createCallbackError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_CALLBACK';
+    return error;
+}
+
+/**
+ * Validate a callback URL against the allowlist and return it normalized.
+ * Throws an error with code INVALID_CALLBACK when it is malformed or not allowed.
+ */
+function validateCallbackUrl(callbackUrl) {
+    let url;
+    try {
+        url = new URL(callbackUrl);
+    } catch (error) {
+        throw createCallbackError(`Invalid callback URL: ${callbackUrl}`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw createCallbackError(`Callback URL must use http or https: ${callbackUrl}`);
+    }
+    if (url.username || url.password) {
+        throw createCallbackError('Callback URL must not contain credentials');
+    }
+
+    const allowed = getCallbackAllowlist().some(entry =>
+        entry.origin === url.origin && url.pathname.startsWith(entry.pathPrefix)
+    );
+    if (!allowed) {
+        throw createCallbackError(`Callback URL is not in the allowlist: ${url.origin}${url.pathname}`);
+    }
+
+    return url.toString();
+}
+
+/**
+ * Validate a list of event names, falling back to the given defaults when none are provided
+ */
+function validateCallbackEvents(events, defaults = DEFAULT_JOB_EVENTS) {
+    if (events === undefined || events === null) {
+        return [...defaults];
+    }
+    if (!Array.isArray(events) || events.length === 0) {
+        throw createCallbackError('events must be a non-empty array');
+    }
+
+    const unknown = events.filter(event => !CALLBACK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw createCallbackError(`Unknown callback events: ${unknown.join(', ')} (supported: ${CALLBACK_EVENTS.join(', ')})`);
+    }
+
+    return [...new Set(events)];
+}
+
+module.exports = {
+    CALLBACK_EVENTS,
+    DEFAULT_JOB_EVENTS,
+    getDefaultCallbackUrl,
+    getCallbackAllowlist,
+    validateCallbackUrl,
+    validateCallbackEvents
+};
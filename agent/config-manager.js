@@ -1,27 +1,14 @@
 // Configuration Manager for API providers and models
-// Handles setup and management of multiple Google APIs with rate limiting
+// Handles setup and management of Google APIs, OpenAI-compatible endpoints and local Ollama models with rate limiting
 
-const { upsertProvider, upsertModel, getAvailableModels } = require('./queue-database');
+const { upsertProvider, upsertModel, upsertTenant, getAvailableModels } = require('./queue-database');
+const { AI_MODELS, getFallbackProviders } = require('./config');
+const { normalizeProviderType, getProviderMode, isOfflineProviderMode } = require('./ai-providers');
 
 class ConfigManager {
     constructor() {
-        this.defaultModels = [
-            {
-                name: 'gemini-2.0-flash',
-                perMinuteLimit: 10,
-                perDayLimit: 200
-            },
-            {
-                name: 'gemini-2.5-flash-lite',
-                perMinuteLimit: 10,
-                perDayLimit: 200
-            },
-            {
-                name: 'gemini-2.0-flash-lite',
-                perMinuteLimit: 10,
-                perDayLimit: 200
-            }
-        ];
+        // Every Google key gets the full catalogue, so its limits live in one place
+        this.defaultModels = AI_MODELS.filter(model => model.enabled);
     }
 
     /**
@@ -36,6 +23,10 @@ class ConfigManager {
             if (primaryApiKey) {
                 await this.addGoogleProvider('google-primary', 'Google Primary', primaryApiKey, 1);
                 console.log('✅ Primary Google API configured');
+            } else if (isOfflineProviderMode()) {
+                // Fake and replay modes never use the key; the Gemini models still need a provider row
+                await this.addGoogleProvider('google-primary', 'Google Primary', 'offline', 1);
+                console.log(`✅ Primary Google API configured without a key (${getProviderMode()} mode)`);
             }
 
             // Setup secondary Google API if available
@@ -45,9 +36,15 @@ class ConfigManager {
                 console.log('✅ Secondary Google API configured');
             }
 
+            // Setup OpenAI-compatible and local Ollama providers, tried after Google
+            await this.setupFallbackProviders();
+
             // Setup custom API configurations
             await this.setupCustomConfigurations();
 
+            // Setup tenants and their daily budgets
+            await this.setupTenants();
+
             // Add small delay to ensure database writes are visible
             await new Promise(resolve => setTimeout(resolve, 100));
             
@@ -77,9 +74,23 @@ class ConfigManager {
                 model.name,
                 model.perMinuteLimit,
                 model.perDayLimit,
-                true
+                true,
+                model.inputTokenLimit,
+                model.priority,
+                model.perMinuteTokenLimit,
+                model.perDayTokenLimit
             );
-            console.log(`📋 Added model: ${model.name} (${model.perMinuteLimit}/min, ${model.perDayLimit}/day)`);
+            console.log(`📋 Added model: ${model.name} (${model.perMinuteLimit}/min, ${model.perDayLimit}/day${model.perMinuteTokenLimit ? `, ${model.perMinuteTokenLimit} tokens/min` : ''})`);
+        }
+    }
+
+    /**
+     * Setup non-Google providers from environment variables (see config.js getFallbackProviders)
+     */
+    async setupFallbackProviders() {
+        for (const provider of getFallbackProviders()) {
+            await this.addProvider(provider.id, provider.name, provider.apiKey, provider.priority, provider.models, provider.type, provider.baseUrl);
+            console.log(`✅ ${provider.name} configured (${provider.type}${provider.baseUrl ? ` at ${provider.baseUrl}` : ''})`);
         }
     }
 
@@ -88,7 +99,7 @@ class ConfigManager {
      */
     async setupCustomConfigurations() {
         // Check for custom model configurations
-        // Format: MODEL_CONFIG_<PROVIDER>_<MODEL>=minuteLimit,dayLimit
+        // Format: MODEL_CONFIG_<PROVIDER>_<MODEL>=minuteLimit,dayLimit[,inputTokenLimit[,minuteTokenLimit[,dayTokenLimit]]]
         
         const envKeys = Object.keys(process.env);
         const modelConfigs = envKeys.filter(key => key.startsWith('MODEL_CONFIG_'));
@@ -97,12 +108,15 @@ class ConfigManager {
             try {
                 const [, , providerId, modelName] = configKey.split('_');
                 const configValue = process.env[configKey];
-                const [minuteLimit, dayLimit] = configValue.split(',').map(x => parseInt(x.trim()));
+                const [minuteLimit, dayLimit, inputTokenLimit, minuteTokenLimit, dayTokenLimit] = configValue.split(',').map(x => parseInt(x.trim()));
                 
                 if (providerId && modelName && !isNaN(minuteLimit) && !isNaN(dayLimit)) {
                     // Update existing model or create new one
                     const modelId = `${providerId.toLowerCase()}-${modelName.toLowerCase()}`;
-                    await upsertModel(modelId, providerId.toLowerCase(), modelName, minuteLimit, dayLimit, true);
+                    const catalogueModel = AI_MODELS.find(model => model.name === modelName);
+                    await upsertModel(modelId, providerId.toLowerCase(), modelName, minuteLimit, dayLimit, true,
+                        isNaN(inputTokenLimit) ? null : inputTokenLimit, catalogueModel?.priority,
+                        isNaN(minuteTokenLimit) ? null : minuteTokenLimit, isNaN(dayTokenLimit) ? null : dayTokenLimit);
                     console.log(`🔧 Custom model config: ${modelName} (${minuteLimit}/min, ${dayLimit}/day)`);
                 }
             } catch (error) {
@@ -130,16 +144,55 @@ class ConfigManager {
     }
 
     /**
-     * Add a new API provider manually
+     * Setup tenants from environment variables
      */
-    async addProvider(providerId, name, apiKey, priority = 1, models = null) {
+    async setupTenants() {
+        // Format: TENANT_CONFIG_<TENANT>=requestsPerDay,tokensPerDay,reservedShare
+        // Leave a budget empty for no limit, e.g. TENANT_CONFIG_SEARCH=500,,0.3
+
+        const tenantConfigs = Object.keys(process.env).filter(key => key.startsWith('TENANT_CONFIG_'));
+
+        for (const configKey of tenantConfigs) {
+            try {
+                const tenantId = configKey.slice('TENANT_CONFIG_'.length).toLowerCase();
+                const [requestsPerDay, tokensPerDay, reservedShare] = process.env[configKey]
+                    .split(',')
+                    .map(x => x.trim());
+
+                const parseLimit = (value) => value ? parseInt(value) : null;
+                await upsertTenant(
+                    tenantId,
+                    tenantId,
+                    parseLimit(requestsPerDay),
+                    parseLimit(tokensPerDay),
+                    reservedShare ? parseFloat(reservedShare) : 0,
+                    true
+                );
+                console.log(`🏢 Tenant ${tenantId}: ${requestsPerDay || '∞'} requests/day, ${tokensPerDay || '∞'} tokens/day, ${Math.round((parseFloat(reservedShare) || 0) * 100)}% reserved`);
+            } catch (error) {
+                console.error(`❌ Invalid tenant config: ${configKey}`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Add a new API provider manually.
+     * type is google (default), openai-compatible or ollama; only Google providers get default models.
+     */
+    async addProvider(providerId, name, apiKey, priority = 1, models = null, type = 'google', baseUrl = null) {
         try {
-            await upsertProvider(providerId, name, apiKey, priority, true);
-            console.log(`✅ Provider added: ${name} (priority: ${priority})`);
+            const providerType = normalizeProviderType(type);
+            if (providerType !== 'google' && !(Array.isArray(models) && models.length > 0)) {
+                throw new Error(`${providerType} providers need an explicit model list`);
+            }
+
+            await upsertProvider(providerId, name, apiKey, priority, true, providerType, baseUrl);
+            console.log(`✅ Provider added: ${name} (${providerType}, priority: ${priority})`);
 
             // Add models if provided
             if (models && Array.isArray(models)) {
-                for (const model of models) {
+                // Models are tried in list order unless they carry a priority
+                for (const [index, model] of models.entries()) {
                     const modelId = `${providerId}-${model.name}`;
                     await upsertModel(
                         modelId,
@@ -147,7 +200,11 @@ class ConfigManager {
                         model.name,
                         model.perMinuteLimit || 60,
                         model.perDayLimit || 1000,
-                        true
+                        true,
+                        model.inputTokenLimit || null,
+                        model.priority || index + 1,
+                        model.perMinuteTokenLimit,
+                        model.perDayTokenLimit
                     );
                     console.log(`📋 Added model: ${model.name}`);
                 }
@@ -182,7 +239,11 @@ class ConfigManager {
                 model.model_name,
                 perMinuteLimit,
                 perDayLimit,
-                model.enabled
+                model.enabled,
+                model.input_token_limit,
+                model.priority,
+                model.per_minute_token_limit,
+                model.per_day_token_limit
             );
 
             console.log(`✅ Updated model ${model.model_name}: ${perMinuteLimit}/min, ${perDayLimit}/day`);
@@ -203,6 +264,7 @@ class ConfigManager {
             const providers = [...new Set(models.map(m => ({
                 id: m.provider_id,
                 name: m.provider_name,
+                type: m.provider_type,
                 enabled: m.provider_enabled
             })))];
 
@@ -217,6 +279,7 @@ class ConfigManager {
                     provider: m.provider_name,
                     perMinuteLimit: m.per_minute_limit,
                     perDayLimit: m.per_day_limit,
+                    inputTokenLimit: m.input_token_limit,
                     enabled: m.enabled
                 }))
             };
@@ -1,5 +1,7 @@
-// AI Models Configuration - Simplified and Optimized
-// Models are processed in the exact order specified below
+// AI Models Configuration - the Gemini model catalogue
+// Seeded into the queue database for every Google API key (see config-manager.js);
+// models are tried in the priority order specified below
+// Token limits count input tokens (Gemini's TPM); null means no limit
 
 const AI_MODELS = [
     {
@@ -7,6 +9,9 @@ const AI_MODELS = [
         priority: 1,
         perMinuteLimit: 10,
         perDayLimit: 200,
+        inputTokenLimit: 1048576,
+        perMinuteTokenLimit: 1000000,
+        perDayTokenLimit: null,
         enabled: true
     },
     {
@@ -14,6 +19,9 @@ const AI_MODELS = [
         priority: 2,
         perMinuteLimit: 15,
         perDayLimit: 300,
+        inputTokenLimit: 1048576,
+        perMinuteTokenLimit: 250000,
+        perDayTokenLimit: null,
         enabled: true
     },
     {
@@ -21,6 +29,9 @@ const AI_MODELS = [
         priority: 3,
         perMinuteLimit: 10,
         perDayLimit: 200,
+        inputTokenLimit: 1048576,
+        perMinuteTokenLimit: 1000000,
+        perDayTokenLimit: null,
         enabled: true
     },
     {
@@ -28,59 +39,76 @@ const AI_MODELS = [
         priority: 4,
         perMinuteLimit: 5,
         perDayLimit: 30,
+        inputTokenLimit: 1048576,
+        perMinuteTokenLimit: 250000,
+        perDayTokenLimit: null,
         enabled: true
     }
 ];
 
-// Fast cache for model switching
-class ModelCache {
-    constructor() {
-        this.cache = new Map();
-        this.lastUsed = new Map();
-        this.errors = new Map();
-    }
+// Priorities for providers configured from the environment: Google keys come first (1, 2),
+// a hosted OpenAI-compatible API next, and a local Ollama model is the last fallback
+const OPENAI_COMPATIBLE_PRIORITY = 50;
+const OLLAMA_PRIORITY = 100;
 
-    getAvailableModels() {
-        return AI_MODELS.filter(model => model.enabled)
-                       .sort((a, b) => a.priority - b.priority);
-    }
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
 
-    markModelError(modelName, error) {
-        this.errors.set(modelName, {
-            error,
-            timestamp: Date.now()
-        });
-        // Auto-recovery after 5 minutes
-        setTimeout(() => {
-            this.errors.delete(modelName);
-        }, 5 * 60 * 1000);
-    }
+/**
+ * Non-Google providers from the environment, each with its models:
+ *   OPENAI_COMPATIBLE_BASE_URL, OPENAI_COMPATIBLE_API_KEY, OPENAI_COMPATIBLE_MODELS (comma-separated),
+ *   OPENAI_COMPATIBLE_INPUT_TOKEN_LIMIT, OPENAI_COMPATIBLE_TOKENS_PER_MINUTE, OPENAI_COMPATIBLE_TOKENS_PER_DAY
+ *   OLLAMA_MODELS (comma-separated), OLLAMA_BASE_URL, OLLAMA_INPUT_TOKEN_LIMIT
+ */
+function getFallbackProviders() {
+    const providers = [];
 
-    isModelAvailable(modelName) {
-        const errorInfo = this.errors.get(modelName);
-        if (errorInfo && Date.now() - errorInfo.timestamp < 5 * 60 * 1000) {
-            return false;
-        }
-        return true;
+    const openAIModels = parseList(process.env.OPENAI_COMPATIBLE_MODELS);
+    if (process.env.OPENAI_COMPATIBLE_BASE_URL && openAIModels.length > 0) {
+        providers.push({
+            id: 'openai-compatible',
+            name: 'OpenAI-compatible',
+            type: 'openai-compatible',
+            baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+            apiKey: process.env.OPENAI_COMPATIBLE_API_KEY || '',
+            priority: OPENAI_COMPATIBLE_PRIORITY,
+            models: openAIModels.map(name => ({
+                name,
+                perMinuteLimit: 60,
+                perDayLimit: 1000,
+                inputTokenLimit: parseInt(process.env.OPENAI_COMPATIBLE_INPUT_TOKEN_LIMIT) || 128000,
+                perMinuteTokenLimit: parseInt(process.env.OPENAI_COMPATIBLE_TOKENS_PER_MINUTE) || null,
+                perDayTokenLimit: parseInt(process.env.OPENAI_COMPATIBLE_TOKENS_PER_DAY) || null
+            }))
+        });
     }
 
-    getNextModel(excludeModels = []) {
-        const available = this.getAvailableModels()
-            .filter(model => !excludeModels.includes(model.name))
-            .filter(model => this.isModelAvailable(model.name));
-        
-        return available.length > 0 ? available[0] : null;
+    // Local models have no quota; their limits only keep one machine from being flooded
+    const ollamaModels = parseList(process.env.OLLAMA_MODELS);
+    if (ollamaModels.length > 0) {
+        providers.push({
+            id: 'ollama-local',
+            name: 'Ollama (local)',
+            type: 'ollama',
+            baseUrl: process.env.OLLAMA_BASE_URL || null,
+            apiKey: '',
+            priority: OLLAMA_PRIORITY,
+            models: ollamaModels.map(name => ({
+                name,
+                perMinuteLimit: 30,
+                perDayLimit: 100000,
+                inputTokenLimit: parseInt(process.env.OLLAMA_INPUT_TOKEN_LIMIT) || 8192
+            }))
+        });
     }
 
-    getModelByName(name) {
-        return AI_MODELS.find(m => m.name === name);
-    }
+    return providers;
 }
 
-// Export both configuration and cache
 module.exports = {
     AI_MODELS,
-    ModelCache,
+    getFallbackProviders,
     // Helper functions for backward compatibility
     getModels: () => AI_MODELS,
     getEnabledModels: () => AI_MODELS.filter(m => m.enabled),
@@ -1,110 +1,416 @@
 // Ultra-fast content extraction algorithm with optimized JSON processing
 // Designed for maximum speed and minimum memory usage with robust error handling
 
+const { detectLanguage } = require('./language-detection');
+const { parseInput } = require('./input-adapters');
+const { getLinkLength, filterBlocks } = require('./content-filter');
+const { countWords, estimateTokens } = require('./text-metrics');
+const { DEFAULT_NORMALIZATION, resolveNormalization, normalizeText } = require('./text-normalization');
+
+// Block type aliases, so payloads from different editors map onto one set of renderers
+const BLOCK_KINDS = {
+    title: 'heading', heading: 'heading', header: 'heading',
+    h1: 'heading', h2: 'heading', h3: 'heading', h4: 'heading', h5: 'heading', h6: 'heading',
+    list: 'list', bulleted_list: 'list', numbered_list: 'list', ordered_list: 'list', unordered_list: 'list',
+    list_item: 'list_item', bulleted_list_item: 'list_item', numbered_list_item: 'list_item',
+    table: 'table',
+    quote: 'quote', blockquote: 'quote',
+    code: 'code',
+    image: 'image', figure: 'image',
+    divider: 'divider', separator: 'divider', hr: 'divider'
+};
+
+const MAX_LIST_DEPTH = 6;
+const MARKDOWN_HEADING = /^#{1,6} \S/;
+
+/**
+ * Untrimmed text of a block field: a string, a number, an object with content/text,
+ * or an array of rich-text spans (any of those), joined as written
+ * @param {*} value - Field value
+ * @returns {string} - Text
+ */
+function getRawText(value) {
+    if (typeof value === 'string' || typeof value === 'number') {
+        return String(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map(getRawText).join('');
+    }
+    if (value && typeof value === 'object') {
+        return getRawText(value.content ?? value.text ?? '');
+    }
+    return '';
+}
+
+/**
+ * Text of a block field (see getRawText), trimmed
+ * @param {*} value - Field value
+ * @returns {string} - Text, trimmed
+ */
+function getText(value) {
+    return getRawText(value).trim();
+}
+
+/**
+ * Numbers for ordered list_item blocks, which arrive one block per item:
+ * consecutive items count up per depth, and any other block ends the list
+ * @returns {Object} - { next(depth, ordered), reset() }
+ */
+function createListNumbering() {
+    const counters = [];
+    return {
+        next(depth, ordered) {
+            counters.length = ordered ? depth + 1 : depth;
+            if (!ordered) {
+                return null;
+            }
+            counters[depth] = (counters[depth] || 0) + 1;
+            return counters[depth];
+        },
+        reset() {
+            counters.length = 0;
+        }
+    };
+}
+
+/**
+ * Markdown lines for (possibly nested) list items.
+ * Items are strings or { content|text, items|children } objects.
+ * @param {Array} items - List items
+ * @param {boolean} ordered - Numbered list
+ * @param {number} depth - Nesting depth (indentation)
+ * @param {number} start - Number of the first item of an ordered list
+ * @returns {string[]} - Markdown lines
+ */
+function renderListItems(items, ordered, depth = 0, start = 1) {
+    const lines = [];
+    const indent = '  '.repeat(Math.min(depth, MAX_LIST_DEPTH));
+
+    items.forEach((item, index) => {
+        const text = getText(item);
+        if (text) {
+            lines.push(`${indent}${ordered ? `${index + start}.` : '-'} ${text}`);
+        }
+        const children = item?.items || item?.children;
+        if (Array.isArray(children) && children.length > 0) {
+            lines.push(...renderListItems(children, !!(item.ordered ?? ordered), depth + 1));
+        }
+    });
+
+    return lines;
+}
+
+/**
+ * Serialize a table row by row. With a header row each cell is labelled
+ * ("- Name: Ada; Role: Engineer"), otherwise cells are separated by " | ".
+ * @param {Object} block - Table block: rows (arrays of cells), header or withHeadings/hasHeader
+ * @returns {string} - Serialized table
+ */
+function renderTable(block) {
+    let rows = (Array.isArray(block.rows) ? block.rows : block.data || [])
+        .filter(Array.isArray)
+        .map(row => row.map(getText));
+    let header = Array.isArray(block.header) ? block.header.map(getText) : null;
+
+    if (!header && (block.withHeadings || block.hasHeader) && rows.length > 0) {
+        [header, ...rows] = rows;
+    }
+
+    const lines = block.caption ? [`Table: ${getText(block.caption)}`] : [];
+    for (const row of rows) {
+        if (row.every(cell => !cell)) {
+            continue;
+        }
+        const cells = header
+            ? row.map((cell, index) => `${header[index] || `Column ${index + 1}`}: ${cell}`)
+            : row;
+        lines.push(`- ${cells.join(header ? '; ' : ' | ')}`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Render one block as markdown, by type. Blocks without a type are paragraphs,
+ * as are unknown types that carry content.
+ * @param {Object} block - Payload block
+ * @param {Object} listNumbering - Numbering shared by the document's blocks (createListNumbering)
+ * @returns {Object|null} - { kind, markdown } or null when the block has no text
+ */
+function renderBlock(block, listNumbering = createListNumbering()) {
+    if (!block || typeof block !== 'object') {
+        listNumbering.reset();
+        return null;
+    }
+
+    const type = String(block.type || 'paragraph').toLowerCase();
+    const kind = BLOCK_KINDS[type] || 'paragraph';
+    const content = getText(block.content ?? block.text);
+    let markdown;
+
+    if (kind !== 'list_item') {
+        listNumbering.reset();
+    }
+
+    switch (kind) {
+        case 'heading': {
+            const level = /^h[1-6]$/.test(type) ? Number(type[1]) : (type === 'title' ? 1 : block.level || 2);
+            markdown = content && `${'#'.repeat(Math.min(Math.max(level, 1), 6))} ${content.replace(/\s+/g, ' ')}`;
+            break;
+        }
+        case 'list': {
+            const ordered = !!block.ordered || type === 'numbered_list' || type === 'ordered_list' || block.style === 'ordered';
+            markdown = Array.isArray(block.items) ? renderListItems(block.items, ordered).join('\n') : content;
+            break;
+        }
+        case 'list_item': {
+            const depth = Math.min(block.depth ?? block.level ?? 0, MAX_LIST_DEPTH);
+            const ordered = !!block.ordered || type === 'numbered_list_item';
+            const number = content ? listNumbering.next(depth, ordered) : null;
+            markdown = content && renderListItems([block], ordered, depth, number || 1).join('\n');
+            break;
+        }
+        case 'table':
+            markdown = Array.isArray(block.rows) || Array.isArray(block.data) ? renderTable(block) : content;
+            break;
+        case 'quote':
+            markdown = content && content.split('\n').map(line => `> ${line}`).join('\n');
+            break;
+        case 'code': {
+            // Indentation is part of the code: only surrounding blank lines are dropped
+            const code = getRawText(block.content ?? block.text).replace(/^\s*\n|\s+$/g, '');
+            markdown = code && `\`\`\`${getText(block.language)}\n${code}\n\`\`\``;
+            break;
+        }
+        case 'image': {
+            const caption = getText(block.caption ?? block.alt) || content;
+            markdown = caption && `[Image: ${caption}]`;
+            break;
+        }
+        case 'divider':
+            markdown = '';
+            break;
+        default:
+            markdown = content;
+    }
+
+    return markdown ? { kind, markdown } : null;
+}
+
+/**
+ * Plain text of rendered markdown, for word counts (drops list, heading,
+ * quote and table markers so they are not counted as words)
+ * @param {string} markdown - Rendered block
+ * @returns {string} - Text without markdown markers
+ */
+function stripMarkdown(markdown) {
+    return markdown
+        .replace(/^```.*$/gm, '')
+        .replace(/^\s*(?:#{1,6}|>|-|\d+\.)\s+/gm, '')
+        .replace(/\s\|\s/g, ' ');
+}
+
 /**
  * Fast content extraction using optimized algorithms
- * @param {Object} jsonData - The JSON data containing blocks array
- * @returns {Object} - Extracted content and metadata
+ * @param {Object|string} jsonData - Payload: blocks JSON, or HTML, Markdown, text or a chat transcript
+ * @param {Object} options - { format, normalization }: input format, sniffed from the payload when not
+ *   given, and requested normalization (parseNormalization), resolved against the format's default
+ * @returns {Object} - Extracted content (already normalized) and metadata
  */
-function extractOptimizedContent(jsonData) {
+function extractOptimizedContent(jsonData, options = {}) {
     const startTime = process.hrtime.bigint();
     
     try {
-        // Fast data structure normalization with minimal checks
-        let actualData = jsonData;
+        // Every input format is converted to the same block model by its adapter
+        const { format, blocks } = parseInput(jsonData, options.format);
+        const normalization = resolveNormalization(options.normalization, format);
         
-        // Quick format detection and normalization
-        if (jsonData?.jsonData && !jsonData.filteredData) {
-            actualData = jsonData.jsonData;
-        } else if (actualData?.blocks && !actualData.filteredData) {
-            actualData = { filteredData: actualData };
-        } else if (!actualData?.filteredData?.blocks) {
-            // Fast fallback - try to find blocks anywhere in the structure
-            const blocks = actualData?.filteredData?.blocks || actualData?.blocks || [];
-            if (!Array.isArray(blocks) || blocks.length === 0) {
-                throw new Error('No extractable content found in payload');
-            }
-            actualData = { filteredData: { blocks } };
-        }
-
-        const blocks = actualData.filteredData.blocks;
-        
-        // Pre-allocate arrays for better performance
-        const contentChunks = [];
-        let totalContentLength = 0;
-        let blockCount = 0;
-        
-        // Ultra-fast single-pass extraction with minimal operations
+        // Single pass: each block rendered as markdown by its type (headings, lists, tables, code...)
+        // and normalized, so filtering, counts and language detection see the text the model gets
+        const renderedBlocks = [];
+        const listNumbering = createListNumbering();
         const blocksLength = blocks.length;
         for (let i = 0; i < blocksLength; i++) {
-            const block = blocks[i];
+            const rendered = renderBlock(blocks[i], listNumbering);
             
-            if (block?.content && typeof block.content === 'string') {
-                const content = block.content.trim();
-                if (content.length > 0) {
-                    contentChunks.push(content);
-                    totalContentLength += content.length;
-                    blockCount++;
-                }
+            if (rendered) {
+                rendered.markdown = cleanContentForAI(rendered.markdown, normalization);
+            }
+            if (rendered?.markdown) {
+                rendered.linkLength = getLinkLength(blocks[i]);
+                renderedBlocks.push(rendered);
             }
         }
         
-        if (contentChunks.length === 0) {
+        if (renderedBlocks.length === 0) {
             throw new Error('No content found in blocks');
         }
         
+        // Drop navigation, cookie notices, share buttons and repeated blocks.
+        // Chat turns are all content, and repeated short replies are meaningful there.
+        const { blocks: keptBlocks, report: contentFilter } = format === 'chat'
+            ? { blocks: renderedBlocks, report: null }
+            : filterBlocks(renderedBlocks);
+        
+        const contentChunks = [];
+        const plainChunks = [];
+        const blockTypes = {};
+        for (const rendered of keptBlocks) {
+            contentChunks.push(rendered.markdown);
+            plainChunks.push(stripMarkdown(rendered.markdown));
+            blockTypes[rendered.kind] = (blockTypes[rendered.kind] || 0) + 1;
+        }
+        const blockCount = contentChunks.length;
+        
         // Fast string concatenation using array join (more efficient than string concatenation)
         const extractedText = contentChunks.join('\n\n');
         
-        // Fast word counting using regex split (faster than manual counting)
-        const words = extractedText.split(/\s+/).filter(word => word.length > 0);
-        const wordCount = words.length;
-        
-        // Calculate main content words (filter out very short words for better accuracy)
-        const mainWords = words.filter(word => word.length > 2);
-        const mainContentWords = mainWords.length;
+        // Script-aware word counting on the text without markdown markers
+        // (Chinese, Japanese and Thai have no spaces between words)
+        const plainText = plainChunks.join('\n\n');
+        const { totalWords: wordCount, mainWords: mainContentWords } = countWords(plainText);
+        const estimatedTokens = estimateTokens(plainText);
         
         const endTime = process.hrtime.bigint();
         const processingTimeMs = Number(endTime - startTime) / 1000000; // Convert to milliseconds
         
         return {
             extractedText,
+            blocks: contentChunks,
             contentBlocks: blockCount,
             totalWords: wordCount,
             mainContentWords,
+            estimatedTokens,
             processingTimeMs: Math.round(processingTimeMs * 100) / 100,
-            contentLength: extractedText.length
+            contentLength: extractedText.length,
+            inputFormat: format,
+            blockTypes,
+            contentFilter,
+            normalization,
+            language: detectLanguage(plainText)
         };
         
     } catch (error) {
         console.error('❌ Content extraction failed:', error.message);
-        throw new Error(`Content extraction failed: ${error.message}`);
+        const extractionError = new Error(`Content extraction failed: ${error.message}`);
+        if (error.code) {
+            extractionError.code = error.code; // e.g. INVALID_FORMAT, so callers can answer 400
+        }
+        throw extractionError;
     }
 }
 
 /**
- * Fast token limit calculation based on mainContentWords
- * @param {number} wordCount - Number of main content words
+ * Fast token limit calculation based on the content's estimated tokens, so
+ * documents in every script get the same output allowance for the same length.
+ * Thresholds match the former word-based ones (~1.5 tokens per main content word).
+ * Long documents (map-reduce) get 250 more tokens per full 7500 tokens past 7500, up to 4000
+ * @param {number} contentTokens - Estimated content tokens
  * @returns {number} - Calculated token limit
  */
-function calculateSmartTokenLimit(wordCount) {
+function calculateSmartTokenLimit(contentTokens) {
     // Optimized token calculation with early returns
-    if (wordCount < 2000) {
+    if (contentTokens < 3000) {
         return 500;
     }
     
-    if (wordCount <= 5000) {
-        // Fast calculation using bitwise operations where possible
-        const additionalWords = wordCount - 2000;
-        const additionalChunks = Math.ceil(additionalWords / 500);
-        const baseAdditionalTokens = additionalChunks * 200;
-        const adjustedAdditionalTokens = Math.round(baseAdditionalTokens * 1.2);
-        const totalTokens = 500 + adjustedAdditionalTokens;
+    if (contentTokens <= 7500) {
+        const additionalChunks = Math.ceil((contentTokens - 3000) / 750);
+        const totalTokens = 500 + Math.round(additionalChunks * 200 * 1.2);
         
         return Math.min(totalTokens, 2000);
     }
     
-    return 2000; // Maximum limit
+    return Math.min(2000 + Math.floor((contentTokens - 7500) / 7500) * 250, 4000); // Maximum limit
+}
+
+/**
+ * Rough token count for a model request: estimated input tokens (per script),
+ * plus the prompt instructions and the full output allowance
+ * @param {string} content - Content sent to the model
+ * @param {number} maxOutputTokens - Output token limit for the request
+ * @returns {number} - Estimated total tokens
+ */
+function estimateRequestTokens(content, maxOutputTokens = 0) {
+    const PROMPT_OVERHEAD_TOKENS = 150;
+    return estimateTokens(content) + PROMPT_OVERHEAD_TOKENS + maxOutputTokens;
+}
+
+/**
+ * Pack content blocks into chunks of at most maxChunkTokens, splitting only
+ * between blocks. A block too large on its own is split between lines when it
+ * has several (lists, tables, code) and at sentence ends otherwise (or
+ * hard-split when a single line or sentence is still too large).
+ * A chunk that starts inside a section repeats that section's heading.
+ * Sizes are estimated tokens, so chunks of dense scripts (Chinese, Japanese) hold fewer characters.
+ * @param {string[]} blocks - Block texts in document order
+ * @param {number} maxChunkTokens - Token budget per chunk
+ * @returns {string[]} - Chunk texts
+ */
+function chunkContentBlocks(blocks, maxChunkTokens) {
+    const SEPARATOR_TOKENS = 1;
+    const pieces = [];
+
+    for (const block of blocks) {
+        const blockTokens = estimateTokens(block);
+        if (blockTokens <= maxChunkTokens) {
+            pieces.push(block);
+            continue;
+        }
+
+        // Characters per chunk at this block's own token density
+        const maxChunkChars = Math.max(1, Math.floor(maxChunkTokens * block.length / blockTokens));
+        const units = block.includes('\n')
+            ? block.split(/(?<=\n)/)
+            : block.match(/[^.!?]+[.!?]+\s*|[^.!?]+$/g) || [block];
+        let current = '';
+        for (const sentence of units) {
+            if (current.length + sentence.length > maxChunkChars && current.length > 0) {
+                pieces.push(current.trimEnd());
+                current = '';
+            }
+            if (sentence.length > maxChunkChars) {
+                for (let i = 0; i < sentence.length; i += maxChunkChars) {
+                    pieces.push(sentence.slice(i, i + maxChunkChars));
+                }
+                continue;
+            }
+            current += sentence;
+        }
+        if (current.trim().length > 0) {
+            pieces.push(current.trimEnd());
+        }
+    }
+
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+    let sectionHeading = null;
+    for (const piece of pieces) {
+        const isHeading = MARKDOWN_HEADING.test(piece);
+        const pieceTokens = estimateTokens(piece) + SEPARATOR_TOKENS;
+        if (currentTokens + pieceTokens > maxChunkTokens && current.length > 0) {
+            // A heading stays with the content that follows it
+            const carried = current.length > 1 && MARKDOWN_HEADING.test(current[current.length - 1]) ? current.pop() : null;
+            chunks.push(current.join('\n\n'));
+            current = carried ? [carried] : [];
+            currentTokens = carried ? estimateTokens(carried) + SEPARATOR_TOKENS : 0;
+        }
+        if (current.length === 0 && sectionHeading && !isHeading) {
+            const continued = `${sectionHeading} (continued)`;
+            current.push(continued);
+            currentTokens += estimateTokens(continued) + SEPARATOR_TOKENS;
+        }
+        current.push(piece);
+        currentTokens += pieceTokens;
+        if (isHeading) {
+            sectionHeading = piece.split('\n')[0];
+        }
+    }
+    if (current.length > 0) {
+        chunks.push(current.join('\n\n'));
+    }
+
+    return chunks;
 }
 
 /**
@@ -122,26 +428,20 @@ function validateExtractedContent(content) {
 }
 
 /**
- * Optimized content cleaning for AI processing
+ * Optimized content cleaning for AI processing: runs normalization steps in order
+ * (see text-normalization.js). The default steps keep line breaks and leading
+ * indentation so markdown structure (headings, nested lists, tables, code)
+ * survives into the prompt.
  * @param {string} content - Raw content to clean
+ * @param {string[]} steps - Normalization steps, usually extractionResult.normalization
  * @returns {string} - Cleaned content
  */
-function cleanContentForAI(content) {
+function cleanContentForAI(content, steps = DEFAULT_NORMALIZATION) {
     if (!content || typeof content !== 'string') {
         return '';
     }
     
-    // Fast regex-based cleaning (single pass)
-    return content
-        // Remove excessive whitespace and normalize line breaks
-        .replace(/\s+/g, ' ')
-        .replace(/\n\s*\n/g, '\n\n')
-        // Remove control characters (fast single pass)
-        .replace(/[\x00-\x1F\x7F]/g, ' ')
-        // Trim and normalize
-        .trim()
-        // Ensure we don't have too many consecutive spaces
-        .replace(/  +/g, ' ');
+    return normalizeText(content, steps);
 }
 
 /**
@@ -189,18 +489,21 @@ function processLargeText(largeText, chunkSize = 10000) {
  */
 function getExtractionStats() {
     return {
-        algorithmVersion: '2.0-optimized',
+        algorithmVersion: '2.1-structured',
         features: [
             'fast-json-processing',
+            'block-type-aware-markdown',
+            'boilerplate-and-duplicate-filtering',
             'memory-efficient',
             'single-pass-extraction',
             'regex-optimized',
-            'mainContentWords-based-tokens'
+            'script-aware-word-counting',
+            'estimated-token-based-limits'
         ],
         optimizations: [
             'pre-allocated-arrays',
             'minimal-string-operations',
-            'fast-word-counting',
+            'ascii-fast-path-token-estimation',
             'bitwise-calculations',
             'early-returns'
         ]
@@ -210,6 +513,9 @@ function getExtractionStats() {
 module.exports = {
     extractOptimizedContent,
     calculateSmartTokenLimit,
+    estimateTokens,
+    estimateRequestTokens,
+    chunkContentBlocks,
     validateExtractedContent,
     cleanContentForAI,
     processJSONBlob,
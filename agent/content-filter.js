@@ -0,0 +1,201 @@
+// Content filter - drops boilerplate and duplicate blocks before summarization
+// Scraped pages carry navigation, cookie notices, share buttons and repeated
+// footers as separate blocks; they inflate word counts and pollute summaries.
+// Works on rendered blocks ({ kind, markdown, linkLength }) in document order.
+
+const SHINGLE_SIZE = 2; // Words per shingle for near-duplicate detection
+const NEAR_DUPLICATE_THRESHOLD = 0.8; // Jaccard similarity of shingle sets
+const MIN_NEAR_DUPLICATE_WORDS = 8; // Shorter blocks are only compared exactly
+const MAX_SHINGLE_POSTINGS = 50; // Shingles this common stop being indexed
+const LINK_DENSITY_THRESHOLD = 0.6; // Share of a block's text inside links
+const REPEATED_PHRASE_MAX_WORDS = 5;
+const REPEATED_PHRASE_MIN_COUNT = 3;
+const MAX_REPORTED_EXAMPLES = 5;
+const EXAMPLE_LENGTH = 80;
+
+// Block kinds that are never scored as boilerplate
+const PROTECTED_KINDS = new Set(['code', 'table']);
+
+// Known boilerplate, only matched in blocks of at most `maxWords` words so that
+// content discussing cookies or privacy policies is kept
+const BOILERPLATE_PATTERNS = [
+    { pattern: /\bcookies?\b[\s\S]*\b(accept|consent|agree|preferences|settings)\b|\b(accept|consent|agree)\b[\s\S]*\bcookies?\b/i, maxWords: 80 },
+    { pattern: /\b(accept|reject|allow|decline) all\b/i, maxWords: 20 },
+    { pattern: /\b(subscribe|sign up)\b[\s\S]*\bnewsletter\b|\bnewsletter\b[\s\S]*\b(subscribe|sign up)\b/i, maxWords: 40 },
+    { pattern: /\b(share (this|on|via)|follow us( on)?)\b/i, maxWords: 15 },
+    { pattern: /\ball rights reserved\b|^\W*(©|\(c\)|copyright\b)/i, maxWords: 30 },
+    { pattern: /\b(privacy policy|cookie policy|terms of (use|service)|terms (and|&) conditions)\b/i, maxWords: 12 },
+    { pattern: /^\W*(skip to (main )?content|back to top|read more|show more|load more|continue reading|advertisement|sponsored)\W*$/i, maxWords: 4 },
+    { pattern: /^\W*(related|recommended|popular|trending|more) (articles|posts|stories|news|reading)\W*$/i, maxWords: 4 },
+    { pattern: /^\W*(you (may|might) also like|more from|trending now)\b/i, maxWords: 12 },
+    { pattern: /^\W*(log ?in|sign ?in|sign ?up|register|my account)(\W+(or\W+)?(log ?in|sign ?in|sign ?up|register|my account))*\W*$/i, maxWords: 6 },
+    { pattern: /^\W*(share|tweet|facebook|twitter|x|linkedin|instagram|youtube|pinterest|reddit|whatsapp|telegram|email|print|copy link)(\W+(share|tweet|facebook|twitter|x|linkedin|instagram|youtube|pinterest|reddit|whatsapp|telegram|email|print|copy link))+\W*$/i, maxWords: 12 }
+];
+
+/**
+ * Characters of link text in a block from an input adapter, including nested list items
+ */
+function getLinkLength(block) {
+    let length = Number(block?.linkLength) || 0;
+    const items = block?.items || block?.children;
+    for (const item of Array.isArray(items) ? items : []) {
+        if (item && typeof item === 'object') {
+            length += getLinkLength(item);
+        }
+    }
+    return length;
+}
+
+// Lowercased words without punctuation or markdown markers, for comparing blocks
+function normalizeText(markdown) {
+    return markdown.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+function getLinkDensity(block, normalized) {
+    // Bare URLs count as links for inputs that carry no link information
+    const urlLength = (block.markdown.match(/https?:\/\/\S+/g) || []).join('').length;
+    const textLength = normalized.length + urlLength;
+    return textLength > 0 ? Math.min(1, ((block.linkLength || 0) + urlLength) / textLength) : 0;
+}
+
+function getShingles(words) {
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+        shingles.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    return shingles;
+}
+
+/**
+ * Why a block looks like boilerplate ('pattern', 'link-density' or
+ * 'repeated-phrase'), or null when it looks like content
+ */
+function getBoilerplateReason(block, normalized, wordCount, phraseCounts) {
+    if (PROTECTED_KINDS.has(block.kind)) {
+        return null;
+    }
+    if (BOILERPLATE_PATTERNS.some(({ pattern, maxWords }) => wordCount <= maxWords && pattern.test(block.markdown.replace(/^[#>*\-\s]+/, '')))) {
+        return 'pattern';
+    }
+    if (block.kind === 'heading') {
+        // Headings are short and legitimately repeat; only known patterns apply
+        return null;
+    }
+    if (getLinkDensity(block, normalized) >= LINK_DENSITY_THRESHOLD) {
+        return 'link-density';
+    }
+    if (wordCount <= REPEATED_PHRASE_MAX_WORDS && phraseCounts.get(normalized) >= REPEATED_PHRASE_MIN_COUNT) {
+        return 'repeated-phrase';
+    }
+    return null;
+}
+
+/**
+ * Drop boilerplate, exact duplicate and near-duplicate blocks, keeping the first
+ * occurrence of repeated content. Returns { blocks, report } where report counts
+ * what was removed: { removedBlocks, removedWords, duplicates, nearDuplicates,
+ * boilerplate, reasons, examples }. When every block would be removed the input
+ * is returned unchanged, so a page that is all "boilerplate" still gets summarized.
+ */
+function filterBlocks(blocks) {
+    const entries = blocks.map(block => {
+        const normalized = normalizeText(block.markdown);
+        const words = normalized ? normalized.split(' ') : [];
+        return { block, normalized, words };
+    });
+
+    const phraseCounts = new Map();
+    for (const { normalized, words } of entries) {
+        if (words.length > 0 && words.length <= REPEATED_PHRASE_MAX_WORDS) {
+            phraseCounts.set(normalized, (phraseCounts.get(normalized) || 0) + 1);
+        }
+    }
+
+    const kept = [];
+    const removed = [];
+    const seen = new Set();
+    const shingleIndex = new Map(); // shingle -> indexes into keptShingleSizes
+    const keptShingleSizes = [];
+
+    for (const { block, normalized, words } of entries) {
+        let reason = getBoilerplateReason(block, normalized, words.length, phraseCounts);
+
+        if (!reason && block.kind !== 'heading' && normalized) {
+            if (seen.has(normalized)) {
+                reason = 'duplicate';
+            } else if (words.length >= MIN_NEAR_DUPLICATE_WORDS && block.kind !== 'code') {
+                const shingles = getShingles(words);
+                const shared = new Map();
+                for (const shingle of shingles) {
+                    for (const candidate of shingleIndex.get(shingle) || []) {
+                        shared.set(candidate, (shared.get(candidate) || 0) + 1);
+                    }
+                }
+                for (const [candidate, count] of shared) {
+                    if (count / (shingles.size + keptShingleSizes[candidate] - count) >= NEAR_DUPLICATE_THRESHOLD) {
+                        reason = 'near-duplicate';
+                        break;
+                    }
+                }
+                if (!reason) {
+                    const id = keptShingleSizes.push(shingles.size) - 1;
+                    for (const shingle of shingles) {
+                        const postings = shingleIndex.get(shingle) || [];
+                        if (postings.length < MAX_SHINGLE_POSTINGS) {
+                            postings.push(id);
+                            shingleIndex.set(shingle, postings);
+                        }
+                    }
+                }
+            }
+            seen.add(normalized);
+        }
+
+        if (reason) {
+            removed.push({ reason, block, wordCount: words.length });
+        } else {
+            kept.push(block);
+        }
+    }
+
+    const report = {
+        removedBlocks: 0,
+        removedWords: 0,
+        duplicates: 0,
+        nearDuplicates: 0,
+        boilerplate: 0,
+        reasons: {},
+        examples: []
+    };
+
+    if (kept.length === 0) {
+        return { blocks, report };
+    }
+
+    for (const { reason, block, wordCount } of removed) {
+        report.removedBlocks++;
+        report.removedWords += wordCount;
+        report.reasons[reason] = (report.reasons[reason] || 0) + 1;
+        if (reason === 'duplicate') {
+            report.duplicates++;
+        } else if (reason === 'near-duplicate') {
+            report.nearDuplicates++;
+        } else {
+            report.boilerplate++;
+        }
+        if (report.examples.length < MAX_REPORTED_EXAMPLES) {
+            const text = block.markdown.replace(/\s+/g, ' ').trim();
+            report.examples.push({
+                reason,
+                text: text.length > EXAMPLE_LENGTH ? `${text.slice(0, EXAMPLE_LENGTH - 1)}…` : text
+            });
+        }
+    }
+
+    return { blocks: kept, report };
+}
+
+module.exports = {
+    getLinkLength,
+    filterBlocks
+};
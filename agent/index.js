@@ -4,12 +4,53 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { extractOptimizedContent, calculateSmartTokenLimit, validateExtractedContent, cleanContentForAI } = require('./content-extractor');
-const { summarizeContent, testAIService, getServiceStatus } = require('./ai-service');
+const { extractOptimizedContent, calculateSmartTokenLimit, estimateRequestTokens, validateExtractedContent } = require('./content-extractor');
+const { summarizeDocument, streamDocument, testAIService, getServiceStatus } = require('./ai-service');
+const { createUsageTracker } = require('./ai-router');
+const {
+    initializeQueueDatabase,
+    enqueueJob,
+    getJob,
+    getJobModelTries,
+    cancelJob,
+    retryJob,
+    replayDeadJobs,
+    requeueDelivery,
+    getJobDeliveries,
+    createSubscription,
+    listSubscriptions,
+    deleteSubscription,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    upsertTenant,
+    getTenant,
+    listTenants,
+    reserveTenantUsage,
+    settleTenantUsage,
+    getTenantUsage,
+    getRoutingCapacity,
+    getQueueStats,
+    closeQueueDatabase
+} = require('./queue-database');
+const { configManager } = require('./config-manager');
+const { createPoolFromEnvironment } = require('./worker-pool');
+const { callbackDispatcher } = require('./callback-dispatcher');
+const { DEFAULT_JOB_EVENTS, getDefaultCallbackUrl, validateCallbackUrl, validateCallbackEvents } = require('./callback-targets');
+const { signPayload, getActiveSigningKey, getSigningKeys } = require('./callback-signing');
+const { authenticateRequest, requireInternalAuth, getCorsOptions } = require('./request-auth');
+const { DEFAULT_TEMPLATE, DEFAULT_JSON_TEMPLATE, selectTemplate, resolveVariables, getOutputFormat, listTemplates } = require('./prompt-templates');
+const { toSummaryResult } = require('./structured-output');
+const { normalizeFormat, unwrapPayload } = require('./input-adapters');
+const { parseNormalization, listNormalizationSteps } = require('./text-normalization');
+const { LANGUAGES, SOURCE_LANGUAGE, normalizeLanguage, resolveOutputLanguage, getDefaultLanguage } = require('./language-detection');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Queue workers (size, concurrency and inline/fork mode come from the environment)
+const workerPool = createPoolFromEnvironment();
+
 // Performance tracking
 const stats = {
     processed: 0,
@@ -20,35 +61,35 @@ const stats = {
 
 const axios = require('axios');
 
-// Function to send summary back to Browser
-async function sendSummaryToBrowser(fileId, summary, extractionResult) {
+// Function to send summary back to Browser (or the request's own callback URL)
+async function sendSummaryToBrowser(fileId, summary, extractionResult, callbackUrl = getDefaultCallbackUrl(), structured = null) {
     try {
         const payload = {
             fileId,
             summary,
+            ...(structured ? { structured } : {}),
             metadata: {
                 contentBlocks: extractionResult.contentBlocks,
                 totalWords: extractionResult.totalWords,
                 mainContentWords: extractionResult.mainContentWords,
+                estimatedTokens: extractionResult.estimatedTokens,
+                inputFormat: extractionResult.inputFormat,
+                contentFilter: extractionResult.contentFilter,
+                normalization: extractionResult.normalization,
                 processingTimeMs: extractionResult.processingTimeMs,
+                sourceLanguage: extractionResult.language,
                 processedAt: new Date().toISOString()
             }
         };
 
-        // Generate authentication for callback request
-        const crypto = require('crypto');
-        const authTimestamp = Date.now().toString();
-        const INTERNAL_SECRET = process.env.INTERNAL_SECRET || 'development-internal-secret-for-mvp-only';
-        
-        const signature = crypto.createHmac('sha256', INTERNAL_SECRET)
-            .update(`${authTimestamp}.${JSON.stringify(payload)}`)
-            .digest('hex');
+        // Sign with the active key; the exact signed body is what gets sent
+        const { body, header } = signPayload(payload);
 
-        const response = await axios.post('http://localhost:5000/api/summary-callback', payload, {
+        const response = await axios.post(callbackUrl, body, {
             timeout: 10000,
             headers: {
                 'Content-Type': 'application/json',
-                'x-internal-auth': `${authTimestamp}.${signature}`
+                'x-internal-auth': header
             }
         });
 
@@ -59,17 +100,130 @@ async function sendSummaryToBrowser(fileId, summary, extractionResult) {
     }
 }
 
+// Answer a request whose tenant is over its daily budget
+function sendBudgetExceeded(res, budget, requestId) {
+    if (budget.resetAt) {
+        res.set('Retry-After', String(Math.max(1, Math.ceil((budget.resetAt.getTime() - Date.now()) / 1000))));
+    }
+    return res.status(429).json({
+        success: false,
+        error: budget.reason,
+        resetAt: budget.resetAt ? budget.resetAt.toISOString() : null,
+        requestId
+    });
+}
+
+// Seconds until a model is expected to take requests again (rate windows, provider backoff);
+// a short default when that can't be known, e.g. no model is configured
+const DEFAULT_CAPACITY_RETRY_SECONDS = 60;
+
+async function getCapacityRetryAfter() {
+    const capacity = await getRoutingCapacity().catch(() => null);
+    return capacity?.nextAvailableAt
+        ? Math.max(1, Math.ceil((Date.parse(capacity.nextAvailableAt) - Date.now()) / 1000))
+        : DEFAULT_CAPACITY_RETRY_SECONDS;
+}
+
+// No model could take the request: 503 with Retry-After, same as queued jobs wait for capacity
+async function sendNoCapacity(res, message, requestId, details = {}) {
+    const retryAfter = await getCapacityRetryAfter();
+    res.set('Retry-After', String(retryAfter));
+    return res.status(503).json({
+        success: false,
+        error: message,
+        code: 'NO_CAPACITY',
+        retryAfterSeconds: retryAfter,
+        requestId,
+        ...details
+    });
+}
+
+// Reserve one request and the estimated tokens of a document against the tenant's budget.
+// When allowed, pass budget.usage to the summarizer and call budget.settle() once it is done
+// (or failed): the tenant is charged for the model calls actually made, nothing if none answered.
+async function reserveDocumentBudget(tenantId, estimatedTokens, fileId) {
+    const budget = await reserveTenantUsage(tenantId, estimatedTokens);
+    if (!budget.allowed) {
+        return budget;
+    }
+    const usage = createUsageTracker();
+    return {
+        ...budget,
+        usage,
+        settle: () => settleTenantUsage(tenantId, estimatedTokens, usage).catch((error) => {
+            console.warn(`⚠️ [${fileId}] Failed to settle tenant usage:`, error.message);
+        })
+    };
+}
+
+// Prompt template, variables and output language requested in a body:
+// { template: 'name' | 'name@version', outputFormat: 'markdown' | 'json', templateVariables, language: code | name | 'source' }
+// Throws an INVALID_TEMPLATE or INVALID_LANGUAGE error for bad values
+function resolvePromptOptions(body) {
+    const template = selectTemplate(body.template, body.outputFormat);
+    const variables = resolveVariables(template, body.templateVariables || {});
+    return { template, variables, requestedLanguage: normalizeLanguage(body.language) };
+}
+
+// Requested input format (null for none or 'auto': sniffed), checked together with any format
+// the payload names itself ({ content, format }). Throws an INVALID_FORMAT error for bad values
+function resolveInputFormat(format, payload) {
+    unwrapPayload(payload);
+    return normalizeFormat(format);
+}
+
+// Prompt options for one document, with the output language settled against its detected source language
+function withOutputLanguage(promptOptions, extractionResult) {
+    const language = resolveOutputLanguage(promptOptions.requestedLanguage, extractionResult.language);
+    return {
+        template: promptOptions.template,
+        variables: promptOptions.variables,
+        language: language.name,
+        outputLanguage: language
+    };
+}
+
+// Public shape of a tenant row
+function formatTenant(tenant) {
+    return {
+        id: tenant.id,
+        name: tenant.name,
+        requestsPerDay: tenant.requests_per_day,
+        tokensPerDay: tenant.tokens_per_day,
+        reservedShare: tenant.reserved_share,
+        enabled: !!tenant.enabled,
+        createdAt: tenant.created_at,
+        updatedAt: tenant.updated_at
+    };
+}
+
+// Load a job, hiding jobs that belong to another tenant. Only internal callers see every
+// tenant's jobs; an API key without a tenant only sees jobs that have no tenant either
+async function getJobForCaller(req) {
+    const job = await getJob(req.params.id);
+    if (job && req.auth.type !== 'internal' && (job.tenant_id || null) !== req.auth.tenantId) {
+        return null;
+    }
+    return job;
+}
+
 
 
 // Middleware with optimization
-app.use(cors());
+// Keep the raw body so x-internal-auth signatures can be checked against the exact bytes
+const keepRawBody = (req, res, buffer) => {
+    req.rawBody = buffer;
+};
+
+app.use(cors(getCorsOptions()));
 app.use(express.json({ 
     limit: '50mb',
     // Fast JSON parsing
     strict: false,
-    type: ['application/json', 'text/plain']
+    type: ['application/json', 'text/plain'],
+    verify: keepRawBody
 }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
+app.use(express.urlencoded({ extended: true, limit: '50mb', verify: keepRawBody }));
 
 // Fast request logging
 app.use((req, res, next) => {
@@ -78,10 +232,13 @@ app.use((req, res, next) => {
     next();
 });
 
+// Everything except the health check needs x-internal-auth or an API key
+app.use(authenticateRequest);
+
 // Health check - simplified
 app.get('/api/health', async (req, res) => {
     try {
-        const serviceStatus = getServiceStatus();
+        const serviceStatus = await getServiceStatus();
         const uptime = Date.now() - stats.startTime;
         
         res.json({
@@ -105,11 +262,11 @@ app.get('/api/health', async (req, res) => {
     }
 });
 
-// AI service test - simplified
-app.get('/api/test', async (req, res) => {
+// AI service test - simplified (internal only: it spends quota outside any tenant budget)
+app.get('/api/test', requireInternalAuth, async (req, res) => {
     try {
         const testResult = await testAIService();
-        const serviceStatus = getServiceStatus();
+        const serviceStatus = await getServiceStatus();
 
         res.json({
             success: testResult,
@@ -130,9 +287,10 @@ app.get('/api/test', async (req, res) => {
 app.post('/api/process', async (req, res) => {
     const requestId = req.headers['x-request-id'] || `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
     const processingStart = Date.now();
+    let budget = null;
 
     try {
-        const { jsonData, fileId } = req.body;
+        const { jsonData, fileId, callbackUrl } = req.body;
         const actualFileId = fileId || requestId;
 
         if (!jsonData) {
@@ -143,10 +301,27 @@ app.post('/api/process', async (req, res) => {
             });
         }
 
+        let validatedCallbackUrl = null;
+        let promptOptions;
+        let inputFormat;
+        let normalization;
+        try {
+            validatedCallbackUrl = callbackUrl ? validateCallbackUrl(callbackUrl) : null;
+            promptOptions = resolvePromptOptions(req.body);
+            inputFormat = resolveInputFormat(req.body.format, jsonData);
+            normalization = parseNormalization(req.body.normalization);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                requestId
+            });
+        }
+
         console.log(`🚀 [${actualFileId}] Starting fast processing...`);
 
         // Step 1: Fast content extraction
-        const extractionResult = extractOptimizedContent(jsonData);
+        const extractionResult = extractOptimizedContent(jsonData, { format: inputFormat, normalization });
         console.log(`📊 [${actualFileId}] Extracted ${extractionResult.contentBlocks} blocks, ${extractionResult.mainContentWords} words`);
 
         // Step 2: Quick validation
@@ -154,17 +329,24 @@ app.post('/api/process', async (req, res) => {
             throw new Error('Extracted content is too short or invalid');
         }
 
-        // Step 3: Fast content cleaning
-        const cleanedContent = cleanContentForAI(extractionResult.extractedText);
+        // Step 3: Smart token calculation based on estimated content tokens
+        const maxTokens = calculateSmartTokenLimit(extractionResult.estimatedTokens);
 
-        // Step 4: Smart token calculation based on mainContentWords
-        const wordCount = extractionResult.mainContentWords || extractionResult.totalWords;
-        const maxTokens = calculateSmartTokenLimit(wordCount);
+        console.log(`🧠 [${actualFileId}] Token limit: ${maxTokens} (for ~${extractionResult.estimatedTokens} content tokens, ${extractionResult.mainContentWords} words)`);
 
-        console.log(`🧠 [${actualFileId}] Token limit: ${maxTokens} (for ${wordCount} words)`);
+        // Step 4: Charge the caller's tenant budget before any model is called
+        budget = await reserveDocumentBudget(req.auth.tenantId, estimateRequestTokens(extractionResult.extractedText, maxTokens), actualFileId);
+        if (!budget.allowed) {
+            console.log(`⏸️ [${actualFileId}] ${budget.reason}`);
+            return sendBudgetExceeded(res, budget, requestId);
+        }
 
-        // Step 5: AI summarization with robust model switching
-        const summary = await summarizeContent(cleanedContent, maxTokens, actualFileId);
+        // Step 5: AI summarization with robust model switching (map-reduce for long documents)
+        const documentOptions = { ...withOutputLanguage(promptOptions, extractionResult), usage: budget.usage };
+        console.log(`🌐 [${actualFileId}] Source language: ${extractionResult.language.name || 'unknown'}, summarizing in ${documentOptions.language}`);
+        const output = await summarizeDocument(extractionResult.blocks, maxTokens, actualFileId, documentOptions);
+        // JSON templates: the validated object plus its markdown rendering
+        const { summary, structured } = toSummaryResult(output, promptOptions.template);
 
         // Performance tracking
         const processingTime = Date.now() - processingStart;
@@ -173,10 +355,10 @@ app.post('/api/process', async (req, res) => {
 
         console.log(`✅ [${actualFileId}] Completed in ${processingTime}ms`);
 
-        // Send callback to Browser if this came from Browser
-        if (req.headers['x-request-id']) {
+        // Send callback to Browser if this came from Browser, or to the requested callback URL
+        if (req.headers['x-request-id'] || validatedCallbackUrl) {
             try {
-                await sendSummaryToBrowser(actualFileId, summary, extractionResult);
+                await sendSummaryToBrowser(actualFileId, summary, extractionResult, validatedCallbackUrl || undefined, structured);
                 console.log(`📤 [${actualFileId}] Summary sent to Browser via callback`);
             } catch (callbackError) {
                 console.warn(`⚠️ [${actualFileId}] Failed to send callback to Browser:`, callbackError.message);
@@ -188,11 +370,20 @@ app.post('/api/process', async (req, res) => {
             requestId,
             fileId: actualFileId,
             summary,
+            structured,
             metadata: {
                 contentBlocks: extractionResult.contentBlocks,
                 totalWords: extractionResult.totalWords,
                 mainContentWords: extractionResult.mainContentWords,
+                estimatedTokens: extractionResult.estimatedTokens,
+                inputFormat: extractionResult.inputFormat,
+                contentFilter: extractionResult.contentFilter,
+                normalization: extractionResult.normalization,
                 maxTokensUsed: maxTokens,
+                template: { name: promptOptions.template.name, version: promptOptions.template.version },
+                outputFormat: getOutputFormat(promptOptions.template),
+                language: documentOptions.outputLanguage,
+                sourceLanguage: extractionResult.language,
                 processingTimeMs: processingTime
             }
         });
@@ -203,12 +394,158 @@ app.post('/api/process', async (req, res) => {
         
         console.error(`❌ [${requestId}] Failed after ${processingTime}ms:`, error.message);
         
-        res.status(500).json({
+        // No model has capacity (rate limits or backoff shared with queued jobs): worth retrying later
+        if (error.code === 'NO_CAPACITY') {
+            return sendNoCapacity(res, error.message, requestId, { processingTimeMs: processingTime });
+        }
+        res.status(error.code === 'INVALID_FORMAT' ? 400 : 500).json({
             success: false,
             error: error.message,
             requestId,
             processingTimeMs: processingTime
         });
+    } finally {
+        if (budget?.settle) {
+            await budget.settle();
+        }
+    }
+});
+
+// Write one Server-Sent Event
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streaming content processing: partial markdown as SSE "chunk" events, then "done" with metadata
+app.post('/api/process-stream', async (req, res) => {
+    const requestId = req.headers['x-request-id'] || `stream-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    const processingStart = Date.now();
+    const { jsonData, fileId } = req.body || {};
+    const actualFileId = fileId || requestId;
+
+    if (!jsonData) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing jsonData in request body',
+            requestId
+        });
+    }
+
+    let extractionResult;
+    let maxTokens;
+    let promptOptions;
+    let budget;
+    try {
+        extractionResult = extractOptimizedContent(jsonData, {
+            format: resolveInputFormat(req.body.format, jsonData),
+            normalization: parseNormalization(req.body.normalization)
+        });
+        if (!validateExtractedContent(extractionResult.extractedText)) {
+            throw new Error('Extracted content is too short or invalid');
+        }
+        promptOptions = withOutputLanguage(resolvePromptOptions(req.body), extractionResult);
+        // JSON can only be validated once complete, and a streamed answer cannot be retried
+        if (getOutputFormat(promptOptions.template) === 'json') {
+            throw new Error(`Template ${promptOptions.template.name} produces JSON, which is not available for streaming; use /api/process`);
+        }
+
+        maxTokens = calculateSmartTokenLimit(extractionResult.estimatedTokens);
+
+        // Once the stream has started, its status can no longer say "retry later"
+        const capacity = await getRoutingCapacity();
+        if (capacity.remaining === 0) {
+            console.log(`⏸️ [${actualFileId}] No model capacity, not starting the stream`);
+            return sendNoCapacity(res, 'No AI model has capacity right now (rate limits or provider backoff)', requestId);
+        }
+
+        budget = await reserveDocumentBudget(req.auth.tenantId, estimateRequestTokens(extractionResult.extractedText, maxTokens), actualFileId);
+        if (!budget.allowed) {
+            console.log(`⏸️ [${actualFileId}] ${budget.reason}`);
+            return sendBudgetExceeded(res, budget, requestId);
+        }
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: error.message,
+            requestId
+        });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Stop generating if the reader goes away
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            console.log(`🔌 [${actualFileId}] Client disconnected, stopping stream`);
+            abortController.abort();
+        }
+    });
+
+    console.log(`📡 [${actualFileId}] Streaming summary (${extractionResult.contentBlocks} blocks, ${extractionResult.mainContentWords} words)`);
+    // Clients can pick text direction and fonts from the language before the first chunk
+    sendEvent(res, 'start', {
+        requestId,
+        fileId: actualFileId,
+        language: promptOptions.outputLanguage,
+        sourceLanguage: extractionResult.language
+    });
+
+    try {
+        const { summary, model } = await streamDocument(extractionResult.blocks, maxTokens, actualFileId, {
+            ...promptOptions,
+            usage: budget.usage,
+            signal: abortController.signal,
+            onText: (text) => sendEvent(res, 'chunk', { text }),
+            onProgress: (details) => sendEvent(res, 'progress', details)
+        });
+
+        const processingTime = Date.now() - processingStart;
+        stats.processed++;
+        stats.totalProcessingTime += processingTime;
+
+        sendEvent(res, 'done', {
+            success: true,
+            requestId,
+            fileId: actualFileId,
+            summary,
+            metadata: {
+                contentBlocks: extractionResult.contentBlocks,
+                totalWords: extractionResult.totalWords,
+                mainContentWords: extractionResult.mainContentWords,
+                estimatedTokens: extractionResult.estimatedTokens,
+                inputFormat: extractionResult.inputFormat,
+                contentFilter: extractionResult.contentFilter,
+                normalization: extractionResult.normalization,
+                maxTokensUsed: maxTokens,
+                model,
+                template: { name: promptOptions.template.name, version: promptOptions.template.version },
+                language: promptOptions.outputLanguage,
+                sourceLanguage: extractionResult.language,
+                processingTimeMs: processingTime
+            }
+        });
+        console.log(`✅ [${actualFileId}] Stream completed in ${processingTime}ms`);
+    } catch (error) {
+        stats.failed++;
+        console.error(`❌ [${actualFileId}] Stream failed:`, error.message);
+        if (!abortController.signal.aborted) {
+            sendEvent(res, 'error', {
+                success: false,
+                error: error.message,
+                ...(error.code === 'NO_CAPACITY' ? { code: error.code, retryAfterSeconds: await getCapacityRetryAfter() } : {}),
+                requestId
+            });
+        }
+    } finally {
+        res.end();
+        await budget.settle();
     }
 });
 
@@ -228,6 +565,24 @@ app.post('/api/process-batch', async (req, res) => {
             });
         }
 
+        // One template and requested language for the whole batch; "source" follows each file's language.
+        // Files may override the batch's format and normalization.
+        let promptOptions;
+        let normalization;
+        let formats;
+        try {
+            promptOptions = resolvePromptOptions(req.body);
+            normalization = parseNormalization(req.body.normalization);
+            const batchFormat = normalizeFormat(req.body.format);
+            formats = files.map(file => resolveInputFormat(file?.format, file?.jsonData) || batchFormat);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                requestId
+            });
+        }
+
         console.log(`📦 [${requestId}] Processing batch of ${files.length} files...`);
 
         const results = [];
@@ -239,24 +594,42 @@ app.post('/api/process-batch', async (req, res) => {
             
             const chunkPromises = chunk.map(async (file, index) => {
                 const fileId = file.fileId || `${requestId}-${i + index}`;
+                let budget = null;
                 
                 try {
-                    const extractionResult = extractOptimizedContent(file.jsonData);
-                    const cleanedContent = cleanContentForAI(extractionResult.extractedText);
-                    const wordCount = extractionResult.mainContentWords || extractionResult.totalWords;
-                    const maxTokens = calculateSmartTokenLimit(wordCount);
+                    const extractionResult = extractOptimizedContent(file.jsonData, {
+                        format: formats[i + index],
+                        normalization: file.normalization !== undefined ? parseNormalization(file.normalization) : normalization
+                    });
+                    const maxTokens = calculateSmartTokenLimit(extractionResult.estimatedTokens);
 
-                    const summary = await summarizeContent(cleanedContent, maxTokens, fileId);
+                    budget = await reserveDocumentBudget(req.auth.tenantId, estimateRequestTokens(extractionResult.extractedText, maxTokens), fileId);
+                    if (!budget.allowed) {
+                        throw new Error(budget.reason);
+                    }
+
+                    const documentOptions = { ...withOutputLanguage(promptOptions, extractionResult), usage: budget.usage };
+                    const output = await summarizeDocument(extractionResult.blocks, maxTokens, fileId, documentOptions);
+                    const { summary, structured } = toSummaryResult(output, promptOptions.template);
 
                     return {
                         fileId,
                         success: true,
                         summary,
+                        structured,
                         metadata: {
                             contentBlocks: extractionResult.contentBlocks,
                             totalWords: extractionResult.totalWords,
                             mainContentWords: extractionResult.mainContentWords,
-                            maxTokensUsed: maxTokens
+                            estimatedTokens: extractionResult.estimatedTokens,
+                            inputFormat: extractionResult.inputFormat,
+                            contentFilter: extractionResult.contentFilter,
+                            normalization: extractionResult.normalization,
+                            maxTokensUsed: maxTokens,
+                            template: { name: promptOptions.template.name, version: promptOptions.template.version },
+                            outputFormat: getOutputFormat(promptOptions.template),
+                            language: documentOptions.outputLanguage,
+                            sourceLanguage: extractionResult.language
                         }
                     };
                 } catch (error) {
@@ -264,8 +637,13 @@ app.post('/api/process-batch', async (req, res) => {
                     return {
                         fileId,
                         success: false,
-                        error: error.message
+                        error: error.message,
+                        ...(error.code === 'NO_CAPACITY' ? { code: error.code, retryAfterSeconds: await getCapacityRetryAfter() } : {})
                     };
+                } finally {
+                    if (budget?.settle) {
+                        await budget.settle();
+                    }
                 }
             });
 
@@ -278,6 +656,12 @@ app.post('/api/process-batch', async (req, res) => {
 
         console.log(`📦 [${requestId}] Batch completed: ${successCount}/${files.length} successful in ${processingTime}ms`);
 
+        // Nothing could be done for lack of model capacity: the whole batch is worth retrying later
+        const capacityFailures = results.filter(r => r.code === 'NO_CAPACITY');
+        if (files.length > 0 && capacityFailures.length === files.length) {
+            return sendNoCapacity(res, capacityFailures[0].error, requestId, { results, processingTimeMs: processingTime });
+        }
+
         res.json({
             success: true,
             requestId,
@@ -301,9 +685,698 @@ app.post('/api/process-batch', async (req, res) => {
     }
 });
 
+// Submit a job to the async queue
+app.post('/api/jobs', async (req, res) => {
+    const requestId = req.headers['x-request-id'] || `job-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+    try {
+        const { jsonData, fileId, priority, maxAttempts, runAt, delaySeconds, clientId, callbackUrl, events } = req.body;
+
+        if (!jsonData) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing jsonData in request body',
+                requestId
+            });
+        }
+
+        // Optional scheduling: an absolute runAt timestamp or a relative delay
+        let runAfter = null;
+        if (runAt !== undefined) {
+            if (isNaN(Date.parse(runAt))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid runAt timestamp: ${runAt}`,
+                    requestId
+                });
+            }
+            runAfter = new Date(runAt);
+        } else if (delaySeconds !== undefined) {
+            if (typeof delaySeconds !== 'number' || delaySeconds < 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'delaySeconds must be a non-negative number',
+                    requestId
+                });
+            }
+            runAfter = new Date(Date.now() + delaySeconds * 1000);
+        }
+
+        // Optional per-job callback target and the events it should receive,
+        // the prompt template, pinned to its current version, the output language, the input format
+        // and the text normalization
+        let callbackOptions;
+        let promptOptions;
+        let inputFormat;
+        let normalization;
+        try {
+            callbackOptions = {
+                callbackUrl: callbackUrl ? validateCallbackUrl(callbackUrl) : null,
+                callbackEvents: events !== undefined ? validateCallbackEvents(events) : null
+            };
+            promptOptions = resolvePromptOptions(req.body);
+            inputFormat = resolveInputFormat(req.body.format, jsonData);
+            normalization = parseNormalization(req.body.normalization);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message,
+                requestId
+            });
+        }
+
+        const actualFileId = fileId || requestId;
+        // The server default is pinned too, so a job runs the way it was requested
+        const language = promptOptions.requestedLanguage || getDefaultLanguage();
+        const enqueueResult = await enqueueJob(
+            actualFileId,
+            jsonData,
+            Number.isInteger(priority) ? priority : 1,
+            Number.isInteger(maxAttempts) && maxAttempts > 0 ? maxAttempts : 3,
+            {
+                runAfter,
+                clientId: typeof clientId === 'string' && clientId.length > 0 ? clientId : null,
+                tenantId: req.auth.tenantId,
+                templateName: promptOptions.template.name,
+                templateVersion: promptOptions.template.version,
+                templateVariables: promptOptions.variables,
+                language,
+                inputFormat,
+                normalization,
+                variantKey: `${promptOptions.template.name}@${promptOptions.template.version}:${JSON.stringify(promptOptions.variables)}:${language}:${inputFormat || 'auto'}${normalization ? `:${JSON.stringify(normalization)}` : ''}`,
+                ...callbackOptions
+            }
+        );
+
+        console.log(`📥 [${actualFileId}] Job ${enqueueResult.jobId}: ${enqueueResult.status}`);
+
+        res.status(enqueueResult.status === 'enqueued' ? 202 : 200).json({
+            success: true,
+            requestId,
+            fileId: actualFileId,
+            jobId: enqueueResult.jobId,
+            status: enqueueResult.status,
+            runAfter: enqueueResult.runAfter || null,
+            result: enqueueResult.result || null,
+            structuredResult: enqueueResult.structuredResult || null
+        });
+
+    } catch (error) {
+        console.error(`❌ [${requestId}] Failed to enqueue job:`, error.message);
+
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            requestId
+        });
+    }
+});
+
+// Job status and result
+app.get('/api/jobs/:id', async (req, res) => {
+    try {
+        const job = await getJobForCaller(req);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+                jobId: req.params.id
+            });
+        }
+
+        const modelTries = await getJobModelTries(job.id);
+
+        res.json({
+            success: true,
+            job: {
+                jobId: job.id,
+                fileId: job.file_id,
+                clientId: job.client_id,
+                tenantId: job.tenant_id,
+                state: job.state,
+                priority: job.priority,
+                attempts: job.attempts,
+                maxAttempts: job.max_attempts,
+                error: job.error,
+                result: job.result,
+                structuredResult: job.structured_result ? JSON.parse(job.structured_result) : null,
+                runAfter: job.run_after,
+                callbackUrl: job.callback_url || getDefaultCallbackUrl(),
+                callbackEvents: job.callback_events ? JSON.parse(job.callback_events) : DEFAULT_JOB_EVENTS,
+                template: job.template_name ? {
+                    name: job.template_name,
+                    version: job.template_version,
+                    variables: job.template_variables ? JSON.parse(job.template_variables) : {}
+                } : null,
+                language: job.language,
+                inputFormat: job.input_format,
+                normalization: job.normalization ? JSON.parse(job.normalization) : null,
+                createdAt: job.created_at,
+                updatedAt: job.updated_at,
+                modelTries: modelTries.map(modelTry => ({
+                    attempt: modelTry.attempt_no,
+                    providerId: modelTry.provider_id,
+                    modelId: modelTry.model_id,
+                    success: !!modelTry.success,
+                    error: modelTry.error,
+                    finishedAt: modelTry.finished_at
+                }))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            jobId: req.params.id
+        });
+    }
+});
+
+// Cancel a queued job
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+    try {
+        // Check ownership before changing anything: other tenants' jobs are "not found"
+        if (!await getJobForCaller(req)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+                jobId: req.params.id
+            });
+        }
+
+        const cancelled = await cancelJob(req.params.id, req.body?.reason || undefined);
+        const job = await getJob(req.params.id);
+
+        if (!cancelled) {
+            return res.status(409).json({
+                success: false,
+                error: `Only queued jobs can be cancelled (current state: ${job.state})`,
+                jobId: job.id,
+                state: job.state
+            });
+        }
+
+        res.json({
+            success: true,
+            jobId: job.id,
+            state: job.state
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            jobId: req.params.id
+        });
+    }
+});
+
+// Requeue a single dead or failed job
+app.post('/api/jobs/:id/retry', async (req, res) => {
+    try {
+        if (!await getJobForCaller(req)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+                jobId: req.params.id
+            });
+        }
+
+        const requeued = await retryJob(req.params.id);
+        const job = await getJob(req.params.id);
+
+        if (!requeued) {
+            return res.status(409).json({
+                success: false,
+                error: `Only dead or failed jobs can be retried (current state: ${job.state})`,
+                jobId: job.id,
+                state: job.state
+            });
+        }
+
+        res.json({
+            success: true,
+            jobId: job.id,
+            state: job.state
+        });
+    } catch (error) {
+        res.status(error.code === 'JOB_CONFLICT' ? 409 : 500).json({
+            success: false,
+            error: error.message,
+            jobId: req.params.id
+        });
+    }
+});
+
+// Bulk replay of dead jobs (dead-letter queue)
+app.post('/api/jobs/replay-dead', async (req, res) => {
+    try {
+        const { errorContains, since, until, limit } = req.body || {};
+
+        for (const [name, value] of [['since', since], ['until', until]]) {
+            if (value && isNaN(Date.parse(value))) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Invalid ${name} timestamp: ${value}`
+                });
+            }
+        }
+
+        const jobIds = await replayDeadJobs({
+            errorContains: typeof errorContains === 'string' && errorContains.length > 0 ? errorContains : null,
+            since: since ? new Date(since).toISOString() : null,
+            until: until ? new Date(until).toISOString() : null,
+            limit: Number.isInteger(limit) && limit > 0 ? limit : 500,
+            tenantId: req.auth.tenantId,
+            allTenants: req.auth.type === 'internal'
+        });
+
+        res.json({
+            success: true,
+            replayed: jobIds.length,
+            jobIds
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Resend a succeeded job's stored result to its callback (no AI call)
+app.post('/api/jobs/:id/redeliver', async (req, res) => {
+    try {
+        const job = await getJobForCaller(req);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+                jobId: req.params.id
+            });
+        }
+
+        const deliveryIds = await requeueDelivery(job.id);
+
+        if (!deliveryIds) {
+            return res.status(409).json({
+                success: false,
+                error: `Job has no stored result to deliver (current state: ${job.state})`,
+                jobId: job.id,
+                state: job.state
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            jobId: job.id,
+            deliveryIds
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            jobId: req.params.id
+        });
+    }
+});
+
+// Callback deliveries and their attempt log for a job
+app.get('/api/jobs/:id/deliveries', async (req, res) => {
+    try {
+        const job = await getJobForCaller(req);
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+                jobId: req.params.id
+            });
+        }
+
+        const deliveries = await getJobDeliveries(job.id);
+
+        res.json({
+            success: true,
+            jobId: job.id,
+            deliveries: deliveries.map(delivery => ({
+                deliveryId: delivery.id,
+                event: delivery.event,
+                targetUrl: delivery.target_url,
+                state: delivery.state,
+                attempts: delivery.attempts,
+                maxAttempts: delivery.max_attempts,
+                nextAttemptAt: delivery.next_attempt_at,
+                lastError: delivery.last_error,
+                createdAt: delivery.created_at,
+                deliveredAt: delivery.delivered_at,
+                log: delivery.log.map(entry => ({
+                    attempt: entry.attempt_no,
+                    statusCode: entry.status_code,
+                    success: !!entry.success,
+                    error: entry.error,
+                    durationMs: entry.duration_ms,
+                    at: entry.created_at
+                }))
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            jobId: req.params.id
+        });
+    }
+});
+
+// Subscribe a consumer to job events (internal only: subscriptions see every tenant's jobs)
+app.post('/api/subscriptions', requireInternalAuth, async (req, res) => {
+    try {
+        const { url, events, clientId } = req.body || {};
+
+        let targetUrl;
+        let subscribedEvents;
+        try {
+            if (!url) {
+                throw new Error('url is required');
+            }
+            targetUrl = validateCallbackUrl(url);
+            subscribedEvents = validateCallbackEvents(events);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        const subscriptionId = await createSubscription(
+            targetUrl,
+            subscribedEvents,
+            typeof clientId === 'string' && clientId.length > 0 ? clientId : null
+        );
+
+        res.status(201).json({
+            success: true,
+            subscription: {
+                id: subscriptionId,
+                url: targetUrl,
+                events: subscribedEvents,
+                clientId: clientId || null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List event subscriptions
+app.get('/api/subscriptions', requireInternalAuth, async (req, res) => {
+    try {
+        const subscriptions = await listSubscriptions();
+
+        res.json({
+            success: true,
+            subscriptions: subscriptions.map(subscription => ({
+                id: subscription.id,
+                url: subscription.target_url,
+                events: subscription.events,
+                clientId: subscription.client_id,
+                enabled: !!subscription.enabled,
+                createdAt: subscription.created_at
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Remove an event subscription
+app.delete('/api/subscriptions/:id', requireInternalAuth, async (req, res) => {
+    try {
+        const deleted = await deleteSubscription(req.params.id);
+
+        if (!deleted) {
+            return res.status(404).json({
+                success: false,
+                error: 'Subscription not found',
+                subscriptionId: req.params.id
+            });
+        }
+
+        res.json({
+            success: true,
+            subscriptionId: req.params.id
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            subscriptionId: req.params.id
+        });
+    }
+});
+
+// Issue an API key (internal callers only; the key is shown once)
+app.post('/api/keys', requireInternalAuth, async (req, res) => {
+    try {
+        const { name, tenantId } = req.body || {};
+
+        if (typeof name !== 'string' || name.trim().length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'name is required'
+            });
+        }
+        if (tenantId !== undefined && tenantId !== null && !(await getTenant(tenantId))) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown tenant: ${tenantId}`
+            });
+        }
+
+        const issued = await createApiKey(name.trim(), tenantId || null);
+
+        res.status(201).json({
+            success: true,
+            apiKey: issued.apiKey,
+            key: {
+                id: issued.id,
+                name: issued.name,
+                keyPrefix: issued.keyPrefix,
+                tenantId: issued.tenantId
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List issued API keys
+app.get('/api/keys', requireInternalAuth, async (req, res) => {
+    try {
+        const keys = await listApiKeys();
+
+        res.json({
+            success: true,
+            keys: keys.map(key => ({
+                id: key.id,
+                name: key.name,
+                keyPrefix: key.key_prefix,
+                tenantId: key.tenant_id,
+                enabled: !!key.enabled,
+                lastUsedAt: key.last_used_at,
+                revokedAt: key.revoked_at,
+                createdAt: key.created_at
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Revoke an API key
+app.delete('/api/keys/:id', requireInternalAuth, async (req, res) => {
+    try {
+        const revoked = await revokeApiKey(req.params.id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found or already revoked',
+                keyId: req.params.id
+            });
+        }
+
+        res.json({
+            success: true,
+            keyId: req.params.id
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            keyId: req.params.id
+        });
+    }
+});
+
+// Available summary templates (latest versions)
+app.get('/api/templates', (req, res) => {
+    res.json({
+        success: true,
+        defaultTemplate: DEFAULT_TEMPLATE,
+        defaultJsonTemplate: DEFAULT_JSON_TEMPLATE,
+        templates: listTemplates()
+    });
+});
+
+// Output languages a request can name ("source" follows the detected source language)
+app.get('/api/languages', (req, res) => {
+    res.json({
+        success: true,
+        defaultLanguage: getDefaultLanguage(),
+        sourceLanguageOption: SOURCE_LANGUAGE,
+        languages: Object.entries(LANGUAGES).map(([code, name]) => ({ code, name }))
+    });
+});
+
+// Text normalization steps and the default pipeline for each input format
+app.get('/api/normalization', (req, res) => {
+    res.json({
+        success: true,
+        ...listNormalizationSteps()
+    });
+});
+
+// Create or update a tenant and its daily budgets
+app.post('/api/tenants', requireInternalAuth, async (req, res) => {
+    try {
+        const { id, name, requestsPerDay, tokensPerDay, reservedShare, enabled } = req.body || {};
+
+        const isLimit = (value) => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+        let error = null;
+        if (typeof id !== 'string' || !/^[A-Za-z0-9-]+$/.test(id)) {
+            error = 'id is required (letters, digits and dashes)';
+        } else if (!isLimit(requestsPerDay) || !isLimit(tokensPerDay)) {
+            error = 'requestsPerDay and tokensPerDay must be non-negative integers (or null for no limit)';
+        } else if (reservedShare !== undefined && (typeof reservedShare !== 'number' || reservedShare < 0 || reservedShare > 1)) {
+            error = 'reservedShare must be a number between 0 and 1';
+        }
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const tenant = await upsertTenant(
+            id,
+            typeof name === 'string' && name.length > 0 ? name : id,
+            requestsPerDay ?? null,
+            tokensPerDay ?? null,
+            reservedShare || 0,
+            enabled !== false
+        );
+
+        res.json({
+            success: true,
+            tenant: formatTenant(tenant)
+        });
+    } catch (error) {
+        res.status(error.code === 'INVALID_TENANT' ? 400 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// List tenants with today's usage
+app.get('/api/tenants', requireInternalAuth, async (req, res) => {
+    try {
+        const tenants = await listTenants();
+
+        res.json({
+            success: true,
+            tenants: tenants.map(tenant => ({
+                ...formatTenant(tenant),
+                today: {
+                    requests: tenant.requests_today,
+                    tokens: tenant.tokens_today
+                }
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Usage report for one tenant (internal callers, or the tenant's own keys)
+app.get('/api/tenants/:id/usage', async (req, res) => {
+    try {
+        if (req.auth.type !== 'internal' && req.auth.tenantId !== req.params.id) {
+            return res.status(403).json({
+                success: false,
+                error: 'API keys can only read their own tenant usage',
+                tenantId: req.params.id
+            });
+        }
+
+        const tenant = await getTenant(req.params.id);
+        if (!tenant) {
+            return res.status(404).json({
+                success: false,
+                error: 'Tenant not found',
+                tenantId: req.params.id
+            });
+        }
+
+        const days = Math.min(parseInt(req.query.days) || 7, 90);
+        const usage = await getTenantUsage(tenant.id, days);
+        const today = usage.daily.find(row => row.day === new Date().toISOString().substr(0, 10)) || { requests: 0, tokens: 0 };
+
+        res.json({
+            success: true,
+            tenant: formatTenant(tenant),
+            today: {
+                requests: today.requests,
+                tokens: today.tokens,
+                remainingRequests: tenant.requests_per_day !== null ? Math.max(0, tenant.requests_per_day - today.requests) : null,
+                remainingTokens: tenant.tokens_per_day !== null ? Math.max(0, tenant.tokens_per_day - today.tokens) : null
+            },
+            daily: usage.daily,
+            jobs: usage.jobs,
+            modelTries: usage.modelTries,
+            days
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            tenantId: req.params.id
+        });
+    }
+});
+
 // Statistics endpoint
-app.get('/api/stats', (req, res) => {
+app.get('/api/stats', async (req, res) => {
     const uptime = Date.now() - stats.startTime;
+    const queueStats = await getQueueStats().catch(() => null);
     
     res.json({
         success: true,
@@ -315,6 +1388,9 @@ app.get('/api/stats', (req, res) => {
             avgProcessingTime: stats.processed > 0 ? Math.round(stats.totalProcessingTime / stats.processed) : 0,
             requestsPerMinute: stats.processed > 0 ? Math.round((stats.processed / uptime) * 60000) : 0
         },
+        queue: queueStats,
+        workers: workerPool.getStats(),
+        callbacks: callbackDispatcher.getStats(),
         timestamp: new Date().toISOString()
     });
 });
@@ -342,20 +1418,36 @@ app.use((req, res) => {
 async function startServer() {
     try {
         console.log('🚀 Starting Simplified Agent Server...');
+
+        // Prepare job queue and model configuration
+        await initializeQueueDatabase();
+        await configManager.setupFromEnvironment();
         
         // Test AI service on startup
         const aiWorking = await testAIService();
         if (!aiWorking) {
             console.warn('⚠️ AI service test failed - server will start but may not function properly');
         }
+
+        // Callbacks can't be delivered without a valid signing key
+        try {
+            const { keyId } = getActiveSigningKey();
+            console.log(`🔏 Signing callbacks with key: ${keyId} (${getSigningKeys().size} active)`);
+        } catch (error) {
+            console.warn(`⚠️ ${error.message} - callbacks will fail until it is configured`);
+        }
         
         app.listen(PORT, '0.0.0.0', () => {
             console.log(`✅ Agent server running on port ${PORT}`);
             console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
             console.log(`🧪 Test endpoint: http://localhost:${PORT}/api/test`);
             console.log(`📊 Stats endpoint: http://localhost:${PORT}/api/stats`);
+            console.log(`📥 Jobs endpoint: http://localhost:${PORT}/api/jobs`);
             console.log('🎯 Ready to process AI summarization requests!');
         });
+
+        await workerPool.start();
+        await callbackDispatcher.start();
         
     } catch (error) {
         console.error('❌ Failed to start server:', error);
@@ -364,14 +1456,24 @@ async function startServer() {
 }
 
 // Graceful shutdown
-process.on('SIGINT', () => {
+async function shutdown() {
     console.log('🛑 Shutting down agent server...');
+    try {
+        await workerPool.stop();
+        await callbackDispatcher.stop();
+        await closeQueueDatabase();
+    } catch (error) {
+        console.error('❌ Error during shutdown:', error);
+    }
     process.exit(0);
-});
+}
 
-process.on('SIGTERM', () => {
-    console.log('🛑 Shutting down agent server...');
-    process.exit(0);
-});
+// Started directly; tests load the app without workers or a listening port
+if (require.main === module) {
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    startServer().catch(console.error);
+}
 
-startServer().catch(console.error);
+module.exports = { app };
@@ -0,0 +1,806 @@
+// Input adapters - turn every supported input format into the common block model
+// ({ type, content, ... } blocks, rendered by the content extractor). The adapter
+// is picked by an explicit format or by sniffing the payload.
+
+const INPUT_FORMATS = ['blocks', 'html', 'markdown', 'text', 'chat'];
+
+const FORMAT_ALIASES = {
+    json: 'blocks',
+    htm: 'html',
+    md: 'markdown',
+    txt: 'text',
+    plain: 'text',
+    transcript: 'chat'
+};
+
+const SNIFF_SAMPLE_LENGTH = 5000;
+
+function createFormatError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_FORMAT';
+    return error;
+}
+
+/**
+ * Normalize a requested input format. Returns null for none/"auto" (sniff the
+ * payload); throws INVALID_FORMAT for unsupported values.
+ */
+function normalizeFormat(format) {
+    if (format === undefined || format === null || format === '' || format === 'auto') {
+        return null;
+    }
+    if (typeof format !== 'string') {
+        throw createFormatError('format must be a string');
+    }
+
+    const requested = format.trim().toLowerCase();
+    const normalized = FORMAT_ALIASES[requested] || requested;
+    if (!INPUT_FORMATS.includes(normalized)) {
+        throw createFormatError(`Unsupported format: ${format} (use auto or one of: ${INPUT_FORMATS.join(', ')})`);
+    }
+    return normalized;
+}
+
+// ----------------------------------------------------------------------------
+// Shared text helpers
+// ----------------------------------------------------------------------------
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+    mdash: '—', ndash: '–', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+    copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', deg: '°', middot: '·', bull: '•',
+    szlig: 'ß', aelig: 'æ', AElig: 'Æ', oslash: 'ø', Oslash: 'Ø', laquo: '«', raquo: '»', times: '×', iexcl: '¡', iquest: '¿'
+};
+
+// Accented letters (&eacute;, &Uuml;, &ccedil;...) as a letter plus a combining mark
+const ENTITY_ACCENTS = {
+    acute: '\u0301', grave: '\u0300', circ: '\u0302', uml: '\u0308', tilde: '\u0303', cedil: '\u0327', ring: '\u030A'
+};
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+        }
+        const accented = name.match(/^([a-z])(acute|grave|circ|uml|tilde|cedil|ring)$/i);
+        if (accented) {
+            return `${accented[1]}${ENTITY_ACCENTS[accented[2].toLowerCase()]}`.normalize('NFC');
+        }
+        const named = NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()];
+        return named ?? entity;
+    });
+}
+
+function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// Links keep their text and images their alt text; other inline markdown stays
+function stripInlineMarkdown(text) {
+    return text
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1');
+}
+
+// Characters of link text in markdown, kept on blocks for boilerplate scoring
+function markdownLinkLength(text) {
+    let length = 0;
+    for (const match of text.matchAll(/(?<!!)\[([^\]]+)\]\([^)]*\)/g)) {
+        length += match[1].length;
+    }
+    return length;
+}
+
+// ----------------------------------------------------------------------------
+// blocks: the original { filteredData: { blocks } } JSON shape and its wrappers
+// ----------------------------------------------------------------------------
+
+function findBlocks(payload) {
+    if (!payload || typeof payload !== 'object') {
+        return null;
+    }
+    if (Array.isArray(payload.filteredData?.blocks)) {
+        return payload.filteredData.blocks;
+    }
+    if (Array.isArray(payload.blocks)) {
+        return payload.blocks;
+    }
+    return payload.jsonData ? findBlocks(payload.jsonData) : null;
+}
+
+// ----------------------------------------------------------------------------
+// html
+// ----------------------------------------------------------------------------
+
+// Elements whose content is never document text
+const SKIPPED_HTML_ELEMENTS = ['head', 'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object'];
+
+// Elements that end the current paragraph
+const HTML_BLOCK_ELEMENTS = new Set([
+    'p', 'div', 'section', 'article', 'main', 'header', 'footer', 'aside', 'nav', 'figure', 'figcaption',
+    'address', 'details', 'summary', 'dl', 'dt', 'dd', 'form', 'fieldset', 'body', 'html', 'hr'
+]);
+
+const HTML_TAG_NAME = /([a-zA-Z][a-zA-Z0-9]*)\b/y;
+
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : '';
+}
+
+/**
+ * Split HTML into tag tokens ({ tag, closing, attributes }) and text tokens ({ text }),
+ * dropping comments and the content of SKIPPED_HTML_ELEMENTS. The input is untrusted,
+ * so this is one forward scan: a search that finds nothing (an unclosed comment, tag or
+ * element) is remembered instead of repeated, which keeps the time linear.
+ * Unclosed comments and elements are kept as text and tags, a '<' that starts no tag as text.
+ */
+function tokenizeHtml(html) {
+    const tokens = [];
+    const unclosed = new Set(); // Comments ('--') and skipped elements with no end after this point
+    let tagEnd = 0; // First '>' at or after the last search for one (-1: none left)
+    let position = 0;
+
+    const findTagEnd = (from) => {
+        if (tagEnd !== -1 && tagEnd < from) {
+            tagEnd = html.indexOf('>', from);
+        }
+        return tagEnd;
+    };
+
+    // Position after the end of a skipped element or comment, or -1 when it is never closed
+    const findEnd = (key, closing, from) => {
+        if (unclosed.has(key)) {
+            return -1;
+        }
+        closing.lastIndex = from;
+        const match = closing.exec(html);
+        if (!match) {
+            unclosed.add(key);
+            return -1;
+        }
+        return match.index + match[0].length;
+    };
+
+    while (position < html.length) {
+        const open = html.indexOf('<', position);
+        if (open === -1) {
+            tokens.push({ text: html.slice(position) });
+            break;
+        }
+        if (open > position) {
+            tokens.push({ text: html.slice(position, open) });
+        }
+
+        if (html.startsWith('<!--', open)) {
+            const end = findEnd('--', /-->/g, open + 4);
+            if (end !== -1) {
+                position = end;
+                continue;
+            }
+        }
+
+        const closing = html[open + 1] === '/';
+        HTML_TAG_NAME.lastIndex = open + (closing ? 2 : 1);
+        const name = HTML_TAG_NAME.exec(html);
+        const end = name ? findTagEnd(HTML_TAG_NAME.lastIndex) : -1;
+        if (end === -1) {
+            tokens.push({ text: '<' });
+            position = open + 1;
+            continue;
+        }
+
+        const tag = name[1].toLowerCase();
+        position = end + 1;
+        if (!closing && SKIPPED_HTML_ELEMENTS.includes(tag)) {
+            const elementEnd = findEnd(tag, new RegExp(`<\\/${tag}\\s*>`, 'gi'), position);
+            if (elementEnd !== -1) {
+                position = elementEnd;
+                continue;
+            }
+        }
+        tokens.push({ tag, closing, attributes: html.slice(HTML_TAG_NAME.lastIndex, end) });
+    }
+
+    return tokens;
+}
+
+/**
+ * The tokens inside the page's <article> or <main> element: from the first one
+ * opened to the last matching end tag; all tokens when there is none
+ */
+function selectMainContent(tokens) {
+    const start = tokens.findIndex(token => !token.closing && (token.tag === 'article' || token.tag === 'main'));
+    if (start === -1) {
+        return tokens;
+    }
+    for (let index = tokens.length - 1; index > start; index--) {
+        const token = tokens[index];
+        if (token.closing && token.tag === tokens[start].tag && !token.attributes.trim()) {
+            return tokens.slice(start + 1, index);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Convert an HTML document to blocks: headings, paragraphs, nested lists,
+ * tables, block quotes, preformatted code and images with alt text.
+ * The <article> or <main> element is used when the page has one.
+ * Text blocks and list items record `linkLength`, the characters inside <a>.
+ */
+function htmlToBlocks(html) {
+    const tokens = selectMainContent(tokenizeHtml(html));
+
+    const blocks = [];
+    const lists = []; // Open <ul>/<ol> elements: { ordered, items, parent }
+    let table = null; // Open <table>: { rows, row, hasHeader, caption }
+    let pre = null; // Open <pre>: { language }
+    let heading = 0;
+    let quoteDepth = 0;
+    let linkDepth = 0;
+    let text = '';
+    let linkLength = 0; // Characters of `text` inside links
+
+    const takeText = () => {
+        const content = collapseWhitespace(decodeEntities(text));
+        text = '';
+        linkLength = 0;
+        return content;
+    };
+
+    // Emit buffered inline text as a block of the current context.
+    // Text inside <pre> and table cells is collected until the element closes.
+    const flush = () => {
+        if (pre || table) {
+            return;
+        }
+        const contentLinkLength = linkLength;
+        const content = takeText();
+        if (!content) {
+            return;
+        }
+        if (lists.length > 0) {
+            const list = lists[lists.length - 1];
+            if (list.items.length === 0) {
+                list.items.push({ content: '', items: [] });
+            }
+            const item = list.items[list.items.length - 1];
+            item.content = item.content ? `${item.content} ${content}` : content;
+            item.linkLength = (item.linkLength || 0) + contentLinkLength;
+        } else if (heading) {
+            blocks.push({ type: 'heading', level: heading, content, linkLength: contentLinkLength });
+        } else {
+            blocks.push({ type: quoteDepth > 0 ? 'quote' : 'paragraph', content, linkLength: contentLinkLength });
+        }
+    };
+
+    for (const token of tokens) {
+        if (token.text !== undefined) {
+            text += token.text;
+            if (linkDepth > 0) {
+                linkLength += collapseWhitespace(decodeEntities(token.text)).length;
+            }
+            continue;
+        }
+
+        const { tag, attributes } = token;
+        const isClosing = token.closing;
+
+        if (pre) {
+            if (tag === 'pre' && isClosing) {
+                const content = decodeEntities(text).replace(/^\n+|\s+$/g, '');
+                if (content) {
+                    blocks.push({ type: 'code', language: pre.language, content });
+                }
+                pre = null;
+                text = '';
+            } else if (tag === 'code' && !isClosing && !pre.language) {
+                pre.language = (getAttribute(attributes, 'class').match(/(?:language|lang)-([\w+-]+)/) || [])[1] || '';
+            } else if (tag === 'br') {
+                text += '\n';
+            }
+            continue;
+        }
+
+        if (table) {
+            if (tag === 'table' && isClosing) {
+                if (table.row && table.row.length > 0) {
+                    table.rows.push(table.row);
+                }
+                blocks.push({ type: 'table', rows: table.rows, withHeadings: table.hasHeader, caption: table.caption });
+                table = null;
+                text = '';
+            } else if (tag === 'tr') {
+                if (table.row && table.row.length > 0) {
+                    table.rows.push(table.row);
+                }
+                table.row = isClosing ? null : [];
+                text = '';
+            } else if ((tag === 'td' || tag === 'th') && !isClosing) {
+                if (tag === 'th' && table.rows.length === 0) {
+                    table.hasHeader = true;
+                }
+                table.row = table.row || [];
+                text = '';
+            } else if ((tag === 'td' || tag === 'th') && isClosing) {
+                (table.row = table.row || []).push(takeText());
+            } else if (tag === 'caption' && isClosing) {
+                table.caption = takeText();
+            } else if (tag === 'br') {
+                text += ' ';
+            }
+            continue;
+        }
+
+        if (/^h[1-6]$/.test(tag)) {
+            flush();
+            heading = isClosing ? 0 : Number(tag[1]);
+        } else if (tag === 'ul' || tag === 'ol') {
+            flush();
+            if (!isClosing) {
+                const parent = lists.length > 0 ? lists[lists.length - 1].items[lists[lists.length - 1].items.length - 1] : null;
+                lists.push({ ordered: tag === 'ol', items: [], parent });
+            } else if (lists.length > 0) {
+                const list = lists.pop();
+                if (list.parent) {
+                    list.parent.items.push(...list.items);
+                    list.parent.ordered = list.ordered;
+                } else if (lists.length > 0) {
+                    lists[lists.length - 1].items.push(...list.items);
+                } else if (list.items.length > 0) {
+                    blocks.push({ type: 'list', ordered: list.ordered, items: list.items });
+                }
+            }
+        } else if (tag === 'li') {
+            flush();
+            if (!isClosing && lists.length > 0) {
+                lists[lists.length - 1].items.push({ content: '', items: [] });
+            }
+        } else if (tag === 'table' && !isClosing) {
+            flush();
+            table = { rows: [], row: null, hasHeader: false, caption: '' };
+        } else if (tag === 'pre' && !isClosing) {
+            flush();
+            pre = { language: '' };
+            text = '';
+        } else if (tag === 'blockquote') {
+            flush();
+            quoteDepth = Math.max(0, quoteDepth + (isClosing ? -1 : 1));
+        } else if (tag === 'img' && !isClosing) {
+            const alt = getAttribute(attributes, 'alt').trim();
+            if (alt && lists.length === 0) {
+                flush();
+                blocks.push({ type: 'image', caption: alt });
+            }
+        } else if (tag === 'a') {
+            linkDepth = Math.max(0, linkDepth + (isClosing ? -1 : 1));
+        } else if (tag === 'br') {
+            text += ' ';
+        } else if (tag === 'code') {
+            text += '`';
+        } else if (HTML_BLOCK_ELEMENTS.has(tag)) {
+            flush();
+        }
+    }
+
+    flush();
+    // Close anything the document left open
+    while (lists.length > 0) {
+        const list = lists.pop();
+        if (list.parent) {
+            list.parent.items.push(...list.items);
+        } else if (lists.length > 0) {
+            lists[lists.length - 1].items.push(...list.items);
+        } else if (list.items.length > 0) {
+            blocks.push({ type: 'list', ordered: list.ordered, items: list.items });
+        }
+    }
+    if (table && table.rows.length > 0) {
+        blocks.push({ type: 'table', rows: table.rows, withHeadings: table.hasHeader, caption: table.caption });
+    }
+
+    return blocks;
+}
+
+function looksLikeHtml(text) {
+    const sample = text.slice(0, SNIFF_SAMPLE_LENGTH);
+    if (/^\s*(?:<!doctype html|<html[\s>])/i.test(sample)) {
+        return true;
+    }
+    const tags = sample.match(/<\/?(?:p|div|span|a|h[1-6]|ul|ol|li|table|tr|td|br|section|article|body|strong|em|b|i)\b[^>]*>/gi) || [];
+    return tags.length >= 3;
+}
+
+// ----------------------------------------------------------------------------
+// markdown
+// ----------------------------------------------------------------------------
+
+const MARKDOWN_LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_TABLE_ROW = /^\s*\|/;
+const MARKDOWN_TABLE_SEPARATOR = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+function parseTableRow(line) {
+    return line.trim().replace(/^\||\|$/g, '').split(/(?<!\\)\|/).map(cell => stripInlineMarkdown(cell.trim()));
+}
+
+/**
+ * Build nested list items from list lines, nesting by indentation
+ */
+function parseListLines(listLines) {
+    const levels = []; // { indent, items } from the outermost list inward
+
+    for (const { indent, text } of listLines) {
+        const item = { content: stripInlineMarkdown(text), linkLength: markdownLinkLength(text), items: [] };
+        while (levels.length > 1 && indent < levels[levels.length - 1].indent) {
+            levels.pop();
+        }
+
+        const top = levels[levels.length - 1];
+        if (!top) {
+            levels.push({ indent, items: [item] });
+        } else if (indent > top.indent && top.items.length > 0) {
+            const parent = top.items[top.items.length - 1];
+            parent.items.push(item);
+            levels.push({ indent, items: parent.items });
+        } else {
+            top.items.push(item);
+        }
+    }
+
+    return levels.length > 0 ? levels[0].items : [];
+}
+
+/**
+ * Convert Markdown to blocks: ATX and setext headings, fenced code, nested
+ * lists, pipe tables, block quotes, standalone images and paragraphs
+ */
+function markdownToBlocks(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            const text = paragraph.join(' ');
+            blocks.push({ type: 'paragraph', content: stripInlineMarkdown(text), linkLength: markdownLinkLength(text) });
+            paragraph = [];
+        }
+    };
+
+    let index = 0;
+    while (index < lines.length) {
+        const line = lines[index];
+
+        const fence = line.match(/^\s*(```+|~~~+)\s*([\w+-]*)/);
+        if (fence) {
+            flushParagraph();
+            const code = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                code.push(lines[index]);
+                index++;
+            }
+            blocks.push({ type: 'code', language: fence[2], content: code.join('\n') });
+            index++;
+            continue;
+        }
+
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            blocks.push({ type: 'heading', level: heading[1].length, content: stripInlineMarkdown(heading[2]) });
+            index++;
+            continue;
+        }
+
+        // Setext heading underline (=== or ---) directly below paragraph text
+        const underline = line.match(/^\s{0,3}(=+|-+)\s*$/);
+        if (underline && paragraph.length > 0) {
+            blocks.push({ type: 'heading', level: underline[1][0] === '=' ? 1 : 2, content: stripInlineMarkdown(paragraph.join(' ')) });
+            paragraph = [];
+            index++;
+            continue;
+        }
+
+        // Thematic break
+        if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            index++;
+            continue;
+        }
+
+        if (MARKDOWN_TABLE_ROW.test(line)) {
+            flushParagraph();
+            const rows = [];
+            let withHeadings = false;
+            while (index < lines.length && MARKDOWN_TABLE_ROW.test(lines[index])) {
+                if (MARKDOWN_TABLE_SEPARATOR.test(lines[index])) {
+                    withHeadings = rows.length === 1;
+                } else {
+                    rows.push(parseTableRow(lines[index]));
+                }
+                index++;
+            }
+            blocks.push({ type: 'table', rows, withHeadings });
+            continue;
+        }
+
+        if (/^\s{0,3}>/.test(line)) {
+            flushParagraph();
+            const quoted = [];
+            while (index < lines.length && /^\s{0,3}>/.test(lines[index])) {
+                quoted.push(lines[index].replace(/^\s{0,3}>\s?/, ''));
+                index++;
+            }
+            blocks.push({ type: 'quote', content: stripInlineMarkdown(quoted.join('\n')) });
+            continue;
+        }
+
+        const listItem = line.match(MARKDOWN_LIST_ITEM);
+        if (listItem) {
+            flushParagraph();
+            const listLines = [];
+            const ordered = /\d/.test(listItem[2]);
+            while (index < lines.length) {
+                const current = lines[index];
+                const item = current.match(MARKDOWN_LIST_ITEM);
+                if (item && listLines.length > 0 && item[1].length <= listLines[0].indent && /\d/.test(item[2]) !== ordered) {
+                    // A top-level item with the other kind of marker starts a new list
+                    break;
+                }
+                if (item) {
+                    listLines.push({ indent: item[1].replace(/\t/g, '    ').length, text: item[3] });
+                } else if (current.trim() && /^\s+/.test(current) && listLines.length > 0) {
+                    // Indented continuation of the previous item
+                    listLines[listLines.length - 1].text += ` ${current.trim()}`;
+                } else if (!current.trim() && MARKDOWN_LIST_ITEM.test(lines[index + 1] || '')) {
+                    // Blank line between items of the same list
+                } else {
+                    break;
+                }
+                index++;
+            }
+            blocks.push({ type: 'list', ordered, items: parseListLines(listLines) });
+            continue;
+        }
+
+        const image = line.match(/^\s*!\[([^\]]*)\]\([^)]*\)\s*$/);
+        if (image) {
+            flushParagraph();
+            if (image[1].trim()) {
+                blocks.push({ type: 'image', caption: image[1].trim() });
+            }
+            index++;
+            continue;
+        }
+
+        if (line.trim()) {
+            paragraph.push(line.trim());
+        } else {
+            flushParagraph();
+        }
+        index++;
+    }
+
+    flushParagraph();
+    return blocks;
+}
+
+function looksLikeMarkdown(text) {
+    const sample = text.slice(0, SNIFF_SAMPLE_LENGTH);
+    const markers = [
+        /^\s{0,3}#{1,6}\s+\S/m,
+        /^\s*(```|~~~)/m,
+        /^\s*[-*+]\s+\S/m,
+        /^\s*\|.*\|\s*$/m,
+        /\[[^\]]+\]\([^)]+\)/,
+        /\*\*[^*\n]+\*\*/,
+        /^\s{0,3}>\s/m
+    ];
+    return markers.filter(marker => marker.test(sample)).length >= 2;
+}
+
+// ----------------------------------------------------------------------------
+// text
+// ----------------------------------------------------------------------------
+
+/**
+ * Plain text: paragraphs are separated by blank lines; single line breaks are wrapping
+ */
+function textToBlocks(text) {
+    return text
+        .replace(/\r\n?/g, '\n')
+        .split(/\n\s*\n/)
+        .map(collapseWhitespace)
+        .filter(Boolean)
+        .map(content => ({ type: 'paragraph', content }));
+}
+
+// ----------------------------------------------------------------------------
+// chat
+// ----------------------------------------------------------------------------
+
+// "Alice: hi", "[10:02] Alice: hi", "Alice (10:02): hi", "12/01/2024, 10:02 - Alice: hi"
+const CHAT_TURN = /^\s*(?:\[([^\]]{1,30})\]\s*|(\d[\d/.,:\- ]{3,25}?)\s+-\s+)?([^\s:[\]][^:\n]{0,39}?)\s*(?:\(([^)]{1,30})\))?\s*:\s+(.*)$/;
+
+/**
+ * Turns from a transcript string. Lines that do not start a turn continue the previous one.
+ */
+function parseChatText(text) {
+    const turns = [];
+    for (const line of text.replace(/\r\n?/g, '\n').split('\n')) {
+        if (!line.trim()) {
+            continue;
+        }
+        const turn = line.match(CHAT_TURN);
+        if (turn) {
+            turns.push({ time: turn[1] || turn[2] || turn[4] || '', speaker: turn[3].trim(), text: turn[5].trim() });
+        } else if (turns.length > 0) {
+            turns[turns.length - 1].text += `\n${line.trim()}`;
+        }
+    }
+    return turns;
+}
+
+/**
+ * Turns from message objects ({ speaker|author|name|role|user|from, text|content|message|body, timestamp|time })
+ */
+function parseChatMessages(messages) {
+    return messages
+        .filter(message => message && typeof message === 'object')
+        .map(message => ({
+            speaker: String(message.speaker ?? message.author ?? message.name ?? message.role ?? message.user ?? message.from ?? 'Unknown').trim(),
+            text: typeof (message.text ?? message.content ?? message.message ?? message.body) === 'string'
+                ? (message.text ?? message.content ?? message.message ?? message.body).trim()
+                : '',
+            time: String(message.timestamp ?? message.time ?? '').trim()
+        }))
+        .filter(turn => turn.text);
+}
+
+/**
+ * One paragraph per speaker turn (consecutive messages from one speaker are joined),
+ * after a line naming the participants
+ */
+function chatToBlocks(input) {
+    const turns = typeof input === 'string' ? parseChatText(input) : parseChatMessages(input);
+
+    const merged = [];
+    for (const turn of turns) {
+        const previous = merged[merged.length - 1];
+        if (previous && previous.speaker === turn.speaker) {
+            previous.text += `\n${turn.text}`;
+        } else {
+            merged.push({ ...turn });
+        }
+    }
+    if (merged.length === 0) {
+        return [];
+    }
+
+    const speakers = [...new Set(merged.map(turn => turn.speaker))];
+    return [
+        { type: 'paragraph', content: `Chat transcript between ${speakers.join(', ')} (${merged.length} turns).` },
+        ...merged.map(turn => ({
+            type: 'paragraph',
+            content: `${turn.time ? `[${turn.time}] ` : ''}**${turn.speaker}:** ${turn.text}`
+        }))
+    ];
+}
+
+function isChatMessageList(value) {
+    return Array.isArray(value) && value.length > 0 &&
+        value.every(message => message && typeof message === 'object' && !Array.isArray(message)) &&
+        parseChatMessages(value).length > 0;
+}
+
+function looksLikeChat(text) {
+    const lines = text.slice(0, SNIFF_SAMPLE_LENGTH).split('\n').filter(line => line.trim());
+    const turns = lines.map(line => line.match(CHAT_TURN)).filter(Boolean);
+    if (turns.length < 3 || turns.length / lines.length < 0.6) {
+        return false;
+    }
+
+    // Speakers take several turns; "Note:" or "Step 1:" style labels rarely repeat
+    const counts = {};
+    turns.forEach(turn => { counts[turn[3].trim()] = (counts[turn[3].trim()] || 0) + 1; });
+    const speakers = Object.values(counts);
+    return speakers.length >= 2 && speakers.some(count => count >= 2);
+}
+
+// ----------------------------------------------------------------------------
+// Registry
+// ----------------------------------------------------------------------------
+
+const ADAPTERS = {
+    blocks: { accepts: input => Array.isArray(findBlocks(input)), toBlocks: findBlocks },
+    html: { accepts: input => typeof input === 'string', toBlocks: htmlToBlocks },
+    markdown: { accepts: input => typeof input === 'string', toBlocks: markdownToBlocks },
+    text: { accepts: input => typeof input === 'string', toBlocks: textToBlocks },
+    chat: { accepts: input => typeof input === 'string' || isChatMessageList(input), toBlocks: chatToBlocks }
+};
+
+/**
+ * Unwrap the payload shapes that carry their own input: { jsonData }, { messages },
+ * { html }, { markdown } and { content|text, format }. Returns { input, format }
+ * where format is the one the shape implies (null when it has to be sniffed).
+ */
+function unwrapPayload(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return { input: payload, format: null };
+    }
+    if (findBlocks(payload)) {
+        return { input: payload, format: 'blocks' };
+    }
+    if (Array.isArray(payload.messages)) {
+        return { input: payload.messages, format: 'chat' };
+    }
+    if (typeof payload.html === 'string') {
+        return { input: payload.html, format: 'html' };
+    }
+    if (typeof payload.markdown === 'string') {
+        return { input: payload.markdown, format: 'markdown' };
+    }
+    const text = payload.content ?? payload.text;
+    if (typeof text === 'string') {
+        return { input: text, format: normalizeFormat(payload.format) };
+    }
+    if (payload.jsonData !== undefined) {
+        return unwrapPayload(payload.jsonData);
+    }
+    return { input: payload, format: null };
+}
+
+/**
+ * Guess the format of an unwrapped input
+ */
+function sniffFormat(input) {
+    if (typeof input !== 'string') {
+        return isChatMessageList(input) ? 'chat' : 'blocks';
+    }
+    if (looksLikeHtml(input)) {
+        return 'html';
+    }
+    if (looksLikeChat(input)) {
+        return 'chat';
+    }
+    return looksLikeMarkdown(input) ? 'markdown' : 'text';
+}
+
+/**
+ * Convert a payload to blocks with the requested format's adapter, or the
+ * format its shape implies, or a sniffed one.
+ * Returns { format, blocks }; throws when the payload has no extractable content.
+ */
+function parseInput(payload, requestedFormat = null) {
+    const { input, format: impliedFormat } = unwrapPayload(payload);
+    const explicitFormat = normalizeFormat(requestedFormat);
+    const format = explicitFormat || impliedFormat || sniffFormat(input);
+    const adapter = ADAPTERS[format];
+
+    if (!adapter.accepts(input)) {
+        throw explicitFormat
+            ? createFormatError(`Payload is not valid ${format} input`)
+            : new Error('No extractable content found in payload');
+    }
+
+    const blocks = adapter.toBlocks(input);
+    if (!Array.isArray(blocks) || blocks.length === 0) {
+        throw new Error('No extractable content found in payload');
+    }
+    return { format, blocks };
+}
+
+module.exports = {
+    INPUT_FORMATS,
+    normalizeFormat,
+    decodeEntities,
+    unwrapPayload,
+    parseInput,
+    htmlToBlocks,
+    markdownToBlocks,
+    textToBlocks,
+    chatToBlocks
+};
@@ -0,0 +1,222 @@
+// Language detection - guesses the source language of extracted content
+// and resolves the language a summary should be written in
+
+const SOURCE_LANGUAGE = 'source'; // Requested language meaning "same as the content"
+const FALLBACK_LANGUAGE = 'en';
+const DETECTION_SAMPLE_LENGTH = 20000; // Characters examined; the start of a document is enough
+const MIN_STOPWORD_HITS = 3;
+
+// Languages a summary can be requested in, by ISO 639-1 code. Names are used in prompts.
+const LANGUAGES = {
+    en: 'English',
+    es: 'Spanish',
+    fa: 'Persian',
+    de: 'German',
+    fr: 'French',
+    it: 'Italian',
+    pt: 'Portuguese',
+    nl: 'Dutch',
+    tr: 'Turkish',
+    pl: 'Polish',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    ar: 'Arabic',
+    he: 'Hebrew',
+    el: 'Greek',
+    hi: 'Hindi',
+    th: 'Thai',
+    zh: 'Chinese',
+    ja: 'Japanese',
+    ko: 'Korean'
+};
+
+// Letters by script; scripts used by a single language map straight to it
+const SCRIPTS = {
+    latin: /\p{Script=Latin}/u,
+    cyrillic: /\p{Script=Cyrillic}/u,
+    arabic: /\p{Script=Arabic}/u,
+    hebrew: /\p{Script=Hebrew}/u,
+    greek: /\p{Script=Greek}/u,
+    devanagari: /\p{Script=Devanagari}/u,
+    thai: /\p{Script=Thai}/u,
+    han: /\p{Script=Han}/u,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    hangul: /\p{Script=Hangul}/u
+};
+
+const SINGLE_LANGUAGE_SCRIPTS = { hebrew: 'he', greek: 'el', devanagari: 'hi', thai: 'th', hangul: 'ko' };
+
+// Frequent short words that tell Latin-script languages apart
+const STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'is', 'that', 'it', 'for', 'with', 'was', 'on', 'are', 'this', 'be', 'as', 'by'],
+    es: ['el', 'la', 'de', 'que', 'y', 'en', 'los', 'las', 'del', 'se', 'por', 'una', 'con', 'para', 'es', 'como'],
+    de: ['der', 'die', 'und', 'das', 'ist', 'nicht', 'den', 'mit', 'von', 'zu', 'ein', 'eine', 'sich', 'auf', 'auch', 'dem'],
+    fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'du', 'que', 'pour', 'dans', 'pas', 'qui', 'sur', 'au', 'avec'],
+    it: ['il', 'di', 'che', 'e', 'la', 'per', 'una', 'non', 'sono', 'della', 'del', 'con', 'gli', 'le', 'è', 'nel'],
+    pt: ['o', 'a', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'os', 'é', 'dos'],
+    nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'niet', 'zijn', 'met', 'voor', 'die', 'ook', 'wordt'],
+    tr: ['ve', 'bir', 'bu', 'için', 'ile', 'olarak', 'çok', 'daha', 'gibi', 'ama', 'olan', 'değil'],
+    pl: ['i', 'w', 'nie', 'na', 'się', 'z', 'że', 'do', 'jest', 'to', 'jak', 'ale', 'od', 'oraz']
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([code, words]) => [code, new Set(words)])
+);
+
+// Letters Persian uses and Arabic does not (پ چ ژ گ, Persian kaf and yeh)
+const PERSIAN_LETTERS = /[پچژگکی]/g;
+// Letters Ukrainian uses and Russian does not (і ї є ґ)
+const UKRAINIAN_LETTERS = /[іїєґІЇЄҐ]/g;
+
+function createLanguageError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_LANGUAGE';
+    return error;
+}
+
+function describe(code, confidence) {
+    return { code, name: code ? LANGUAGES[code] : null, confidence: Math.round(confidence * 100) / 100 };
+}
+
+/**
+ * Count letters per script in a text sample
+ */
+function countScripts(sample) {
+    const counts = {};
+    let letters = 0;
+
+    for (const character of sample) {
+        for (const [script, pattern] of Object.entries(SCRIPTS)) {
+            if (pattern.test(character)) {
+                counts[script] = (counts[script] || 0) + 1;
+                letters++;
+                break;
+            }
+        }
+    }
+
+    return { counts, letters };
+}
+
+/**
+ * Pick a Latin-script language by stopword hits
+ */
+function detectLatinLanguage(sample) {
+    const words = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    const hits = Object.fromEntries(Object.keys(STOPWORD_SETS).map(code => [code, 0]));
+
+    for (const word of words) {
+        for (const [code, stopwords] of Object.entries(STOPWORD_SETS)) {
+            if (stopwords.has(word)) {
+                hits[code]++;
+            }
+        }
+    }
+
+    const [best, second] = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+    if (best[1] < MIN_STOPWORD_HITS) {
+        return { code: null, confidence: 0 };
+    }
+    return { code: best[0], confidence: best[1] / (best[1] + second[1]) };
+}
+
+/**
+ * Guess the language of a text from its script and, for Latin scripts, common words.
+ * Returns { code, name, confidence } with a null code when the text gives too little to go on.
+ */
+function detectLanguage(text) {
+    const sample = typeof text === 'string' ? text.slice(0, DETECTION_SAMPLE_LENGTH) : '';
+    const { counts, letters } = countScripts(sample);
+    if (letters === 0) {
+        return describe(null, 0);
+    }
+
+    const [script, scriptLetters] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    const scriptShare = scriptLetters / letters;
+
+    if (SINGLE_LANGUAGE_SCRIPTS[script]) {
+        return describe(SINGLE_LANGUAGE_SCRIPTS[script], scriptShare);
+    }
+
+    switch (script) {
+        case 'arabic': {
+            const persianLetters = (sample.match(PERSIAN_LETTERS) || []).length;
+            return describe(persianLetters / scriptLetters > 0.02 ? 'fa' : 'ar', scriptShare);
+        }
+        case 'cyrillic': {
+            const ukrainianLetters = (sample.match(UKRAINIAN_LETTERS) || []).length;
+            return describe(ukrainianLetters / scriptLetters > 0.01 ? 'uk' : 'ru', scriptShare);
+        }
+        case 'han':
+        case 'kana':
+            // Japanese mixes kana into Han text; Chinese has none
+            return describe(counts.kana ? 'ja' : 'zh', ((counts.han || 0) + (counts.kana || 0)) / letters);
+        default: {
+            const { code, confidence } = detectLatinLanguage(sample);
+            return describe(code, confidence * scriptShare);
+        }
+    }
+}
+
+/**
+ * Normalize a requested language: an ISO 639-1 code or English name from
+ * LANGUAGES (any case), or "source". Returns the code, "source" or null when
+ * nothing was requested. Throws INVALID_LANGUAGE for anything else.
+ */
+function normalizeLanguage(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (typeof value !== 'string') {
+        throw createLanguageError('language must be a string');
+    }
+
+    const requested = value.trim().toLowerCase();
+    if (requested === SOURCE_LANGUAGE) {
+        return SOURCE_LANGUAGE;
+    }
+    if (LANGUAGES[requested]) {
+        return requested;
+    }
+
+    const code = Object.keys(LANGUAGES).find(candidate => LANGUAGES[candidate].toLowerCase() === requested);
+    if (!code) {
+        throw createLanguageError(`Unsupported language: ${value} (use "${SOURCE_LANGUAGE}" or one of: ${Object.keys(LANGUAGES).join(', ')})`);
+    }
+    return code;
+}
+
+/**
+ * Server default for requests that name no language: DEFAULT_SUMMARY_LANGUAGE
+ * (a code, name or "source"), English when unset or invalid
+ */
+function getDefaultLanguage() {
+    try {
+        return normalizeLanguage(process.env.DEFAULT_SUMMARY_LANGUAGE) || FALLBACK_LANGUAGE;
+    } catch (error) {
+        console.warn(`⚠️ Ignoring DEFAULT_SUMMARY_LANGUAGE: ${error.message}`);
+        return FALLBACK_LANGUAGE;
+    }
+}
+
+/**
+ * Language to write the summary in, as { code, name }.
+ * "source" follows the detected source language, falling back to English
+ * when it could not be detected.
+ */
+function resolveOutputLanguage(requested, sourceLanguage) {
+    let code = normalizeLanguage(requested) || getDefaultLanguage();
+    if (code === SOURCE_LANGUAGE) {
+        code = sourceLanguage?.code || FALLBACK_LANGUAGE;
+    }
+    return { code, name: LANGUAGES[code] };
+}
+
+module.exports = {
+    SOURCE_LANGUAGE,
+    LANGUAGES,
+    detectLanguage,
+    normalizeLanguage,
+    getDefaultLanguage,
+    resolveOutputLanguage
+};
@@ -0,0 +1,117 @@
+// Map-reduce summarization - for documents larger than a model's input budget
+// Content is chunked along block boundaries, each chunk summarized, then the parts merged
+
+const { estimateTokens, estimateRequestTokens, chunkContentBlocks } = require('./content-extractor');
+
+const PART_SUMMARY_TOKENS = 800; // Output limit for each partial (and intermediate merge) summary
+const BUDGET_SAFETY_FACTOR = 0.8; // Token counts are estimates, so leave headroom
+
+/**
+ * Content tokens that fit in one request to a model with the given input limit
+ * (Infinity when the limit is unknown)
+ */
+function getChunkTokenBudget(inputTokenLimit, maxTokens) {
+    if (!inputTokenLimit) {
+        return Infinity;
+    }
+    const requestOverhead = estimateRequestTokens('', Math.max(maxTokens, PART_SUMMARY_TOKENS));
+    return Math.max(1, Math.floor((inputTokenLimit - requestOverhead) * BUDGET_SAFETY_FACTOR));
+}
+
+function buildPartPrompt(content, part, parts, language) {
+    return `This is part ${part} of ${parts} of a longer document. Summarize this part in ${language} as concise markdown bullet points.
+
+REQUIREMENTS:
+- Keep key facts, names, numbers, decisions and conclusions
+- Do not add a title or introduction; the parts will be merged into one summary later
+- Do not refer to "this part" or "this section"
+
+Content to summarize:
+
+${content}`;
+}
+
+function buildCombinePrompt(summaries, language) {
+    return `The following are summaries of consecutive parts of one long document. Combine them into one concise set of markdown bullet points in ${language}, keeping key facts, names, numbers and conclusions. Do not add a title or introduction.
+
+Summaries to combine:
+
+${summaries}`;
+}
+
+// The final pass uses the caller's template; this tells the model what it is reading
+function describePartialSummaries(summaries) {
+    return `(The content below is a series of summaries of consecutive parts of one long document. Treat it as the whole document and avoid repeating points.)
+
+${summaries}`;
+}
+
+/**
+ * Summarize content blocks with `summarize(content, maxTokens, options)`.
+ * Content within the input budget goes out in a single call exactly as before;
+ * larger content is summarized chunk by chunk and merged. Map and intermediate
+ * merge calls set options.prompt, the full prompt to send instead of the caller's
+ * template; the final merge goes through the template like a single-pass summary.
+ * `summarizeFinal` (defaults to `summarize`) makes the call whose output is the
+ * final summary, so that call alone can be streamed. Partial summaries are
+ * written in `language` (a language name), the language of the final summary.
+ * Blocks come normalized from extractOptimizedContent.
+ */
+async function summarizeInChunks(blocks, maxTokens, { inputTokenLimit, summarize, summarizeFinal = summarize, fileId, onProgress, language = 'English' }) {
+    const cleanedBlocks = blocks.filter(block => block.length > 0);
+    const content = cleanedBlocks.join('\n\n');
+    const budget = getChunkTokenBudget(inputTokenLimit, maxTokens);
+    const contentTokens = estimateTokens(content);
+
+    if (contentTokens <= budget) {
+        return summarizeFinal(content, maxTokens, {});
+    }
+
+    const chunks = chunkContentBlocks(cleanedBlocks, budget);
+    console.log(`📚 [${fileId}] ~${contentTokens} tokens exceeds the ${budget}-token input budget, summarizing ${chunks.length} chunks`);
+
+    const partials = [];
+    for (let index = 0; index < chunks.length; index++) {
+        console.log(`🧩 [${fileId}] Summarizing chunk ${index + 1}/${chunks.length} (~${estimateTokens(chunks[index])} tokens)`);
+        onProgress?.({ phase: 'map', part: index + 1, parts: chunks.length });
+        partials.push(await summarize(chunks[index], PART_SUMMARY_TOKENS, {
+            prompt: buildPartPrompt(chunks[index], index + 1, chunks.length, language)
+        }));
+    }
+
+    return mergeSummaries(partials, maxTokens, budget, { summarize, summarizeFinal, fileId, onProgress, language });
+}
+
+/**
+ * Merge partial summaries, in several rounds when they don't fit one request
+ */
+async function mergeSummaries(summaries, maxTokens, budget, { summarize, summarizeFinal, fileId, onProgress, language }) {
+    let current = summaries;
+
+    while (true) {
+        const groups = chunkContentBlocks(current, budget);
+
+        if (groups.length === 1) {
+            console.log(`🔗 [${fileId}] Merging ${current.length} partial summaries`);
+            onProgress?.({ phase: 'reduce', parts: current.length });
+            return summarizeFinal(describePartialSummaries(groups[0]), maxTokens, {});
+        }
+
+        if (groups.length >= current.length) {
+            throw new Error('Partial summaries are too large to merge within the model input budget');
+        }
+
+        console.log(`🔗 [${fileId}] Combining ${current.length} partial summaries into ${groups.length}`);
+        const combined = [];
+        for (const group of groups) {
+            combined.push(await summarize(group, PART_SUMMARY_TOKENS, { prompt: buildCombinePrompt(group, language) }));
+        }
+        current = combined;
+    }
+}
+
+module.exports = {
+    PART_SUMMARY_TOKENS,
+    getChunkTokenBudget,
+    summarizeInChunks
+};
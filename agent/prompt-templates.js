@@ -0,0 +1,285 @@
+// Prompt Templates - versioned summary styles that callers pick by name
+// Templates use {{variable}} placeholders; {{content}} is always the text to summarize
+// and {{language}} the output language
+
+const DEFAULT_TEMPLATE = 'markdown-summary';
+const DEFAULT_JSON_TEMPLATE = 'structured-summary';
+const OUTPUT_FORMATS = ['markdown', 'json'];
+
+// Every version stays registered so jobs can be re-run with the version that was pinned.
+// Templates with outputFormat 'json' are answered in the structured-output schema.
+const TEMPLATES = [
+    {
+        name: 'markdown-summary',
+        version: 1,
+        description: 'Structured markdown summary with headings, bold key points and bullets (default)',
+        variables: {},
+        text: `Summarize this content in {{language}}. Use markdown formatting for better readability:
+
+IMPORTANT FORMATTING REQUIREMENTS:
+- Use # for main title/heading
+- Use ## for important sections
+- Use **bold** for key points
+- Use - for bullet points
+- Use proper line breaks between sections
+- Make the summary well-structured and visually appealing
+
+Content to summarize:
+
+{{content}}`
+    },
+    {
+        name: 'executive-brief',
+        version: 1,
+        description: 'One-page brief: situation, key findings, implications and recommended actions',
+        variables: {
+            audience: { default: 'busy executives', description: 'Who the brief is written for' }
+        },
+        text: `Write an executive brief in {{language}} of the content below for {{audience}}. Use markdown:
+
+- # A short, specific title
+- **Bottom line:** one sentence with the single most important takeaway
+- ## Key findings: 3-5 bullets with concrete facts and numbers
+- ## Implications: what this means, 2-3 bullets
+- ## Recommended actions: 2-3 bullets, only if the content supports them
+
+Be direct and avoid filler. Do not invent facts that are not in the content.
+
+Content to summarize:
+
+{{content}}`
+    },
+    {
+        name: 'bullet-tldr',
+        version: 1,
+        description: 'TL;DR line followed by a handful of bullets',
+        variables: {
+            maxBullets: { default: '5', description: 'Maximum number of bullet points' }
+        },
+        text: `Summarize the content below in {{language}} as markdown:
+
+**TL;DR:** one sentence.
+
+Then at most {{maxBullets}} bullet points (- ) with the most important points, one line each. No headings and no closing remarks.
+
+Content to summarize:
+
+{{content}}`
+    },
+    {
+        name: 'study-notes',
+        version: 1,
+        description: 'Study notes with key concepts, definitions and review questions',
+        variables: {
+            level: { default: 'undergraduate', description: 'Reader level, e.g. high school, undergraduate, expert' }
+        },
+        text: `Turn the content below into study notes in {{language}} for a reader at {{level}} level. Use markdown:
+
+- # Topic title
+- ## Key concepts: each concept in **bold** with a short explanation
+- ## Definitions: important terms and what they mean
+- ## Important details: facts, dates, formulas or examples worth remembering
+- ## Review questions: 3-5 questions that test understanding (no answers)
+
+Content to summarize:
+
+{{content}}`
+    },
+    {
+        name: 'qa-digest',
+        version: 1,
+        description: 'The content as a list of questions a reader would ask, with answers',
+        variables: {
+            questions: { default: '5', description: 'Number of question-and-answer pairs' }
+        },
+        text: `Summarize the content below in {{language}} as a Q&A digest of {{questions}} questions a reader would most likely ask, each answered from the content. Use markdown:
+
+### Question
+Answer in 1-3 sentences.
+
+Only answer from the content; skip questions it cannot answer.
+
+Content to summarize:
+
+{{content}}`
+    },
+    {
+        name: 'tweet',
+        version: 1,
+        description: 'Tweet-length summary in plain text',
+        variables: {
+            maxCharacters: { default: '280', description: 'Maximum length in characters' }
+        },
+        text: `Summarize the content below in {{language}} in at most {{maxCharacters}} characters, as a single plain-text post. No markdown, no hashtags, no emojis.
+
+Content to summarize:
+
+{{content}}`
+    },
+    {
+        name: 'structured-summary',
+        version: 1,
+        description: 'JSON summary: title, one-line abstract, key points, entities and topics',
+        outputFormat: 'json',
+        variables: {},
+        text: `Summarize the content below in {{language}} as JSON with these fields:
+
+- title: a short, specific title
+- abstract: one sentence with the main point
+- keyPoints: the 3-7 most important points, one sentence each, with concrete facts and numbers
+- entities: the people, organizations, locations, products and events the content names, each with its type
+- topics: 2-6 short topic labels (1-3 words each) for indexing
+
+Write every text value in {{language}}. Only use information from the content.
+
+Content to summarize:
+
+{{content}}`
+    }
+];
+
+const MAX_VARIABLE_LENGTH = 200;
+
+function createTemplateError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_TEMPLATE';
+    return error;
+}
+
+/**
+ * Find a template by name and version (latest version when none is given).
+ * Accepts "name@version" as the name. Throws INVALID_TEMPLATE when not found.
+ */
+function resolveTemplate(name = DEFAULT_TEMPLATE, version = null) {
+    let templateName = name || DEFAULT_TEMPLATE;
+    let templateVersion = version;
+
+    if (typeof templateName === 'string' && templateName.includes('@')) {
+        const [baseName, versionText] = templateName.split('@');
+        templateName = baseName;
+        templateVersion = parseInt(versionText);
+    }
+
+    const versions = TEMPLATES.filter(template => template.name === templateName);
+    if (versions.length === 0) {
+        throw createTemplateError(`Unknown template: ${templateName} (available: ${listTemplates().map(t => t.name).join(', ')})`);
+    }
+
+    if (templateVersion === null || templateVersion === undefined) {
+        return versions.reduce((latest, template) => template.version > latest.version ? template : latest);
+    }
+
+    const template = versions.find(candidate => candidate.version === Number(templateVersion));
+    if (!template) {
+        throw createTemplateError(`Template ${templateName} has no version ${templateVersion}`);
+    }
+    return template;
+}
+
+function getOutputFormat(template) {
+    return template.outputFormat || 'markdown';
+}
+
+/**
+ * Template for a request's template name and outputFormat ('markdown' or 'json').
+ * Without a name, the default template for the format is used; a named template
+ * must produce the requested format. Throws INVALID_TEMPLATE otherwise.
+ */
+function selectTemplate(name, outputFormat) {
+    if (outputFormat !== undefined && outputFormat !== null && !OUTPUT_FORMATS.includes(outputFormat)) {
+        throw createTemplateError(`outputFormat must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    const template = resolveTemplate(name || (outputFormat === 'json' ? DEFAULT_JSON_TEMPLATE : DEFAULT_TEMPLATE));
+    if (outputFormat && getOutputFormat(template) !== outputFormat) {
+        throw createTemplateError(`Template ${template.name} produces ${getOutputFormat(template)}, not ${outputFormat}`);
+    }
+    return template;
+}
+
+/**
+ * Whether a model call should be answered as structured JSON
+ * (map-reduce parts send a ready-made prompt and stay markdown)
+ */
+function wantsStructuredOutput(options = {}) {
+    return !options.prompt && !!options.template && getOutputFormat(options.template) === 'json';
+}
+
+/**
+ * Check caller-supplied variables against a template and fill in defaults
+ */
+function resolveVariables(template, variables = {}) {
+    if (variables === null || typeof variables !== 'object' || Array.isArray(variables)) {
+        throw createTemplateError('templateVariables must be an object');
+    }
+
+    const unknown = Object.keys(variables).filter(name => !template.variables[name]);
+    if (unknown.length > 0) {
+        throw createTemplateError(`Unknown variables for ${template.name}: ${unknown.join(', ')}`);
+    }
+
+    const resolved = {};
+    for (const [name, definition] of Object.entries(template.variables)) {
+        const value = variables[name] !== undefined ? variables[name] : definition.default;
+        if ((typeof value !== 'string' && typeof value !== 'number') || String(value).length > MAX_VARIABLE_LENGTH) {
+            throw createTemplateError(`Variable ${name} must be a string or number of at most ${MAX_VARIABLE_LENGTH} characters`);
+        }
+        resolved[name] = String(value);
+    }
+    return resolved;
+}
+
+/**
+ * Build the prompt for a model call. options.prompt (a ready-made prompt) wins;
+ * otherwise options.template (default: the default template) is rendered with
+ * options.variables and options.language (a language name, default English).
+ * Content is substituted in the same pass, so placeholders inside the content
+ * are left alone.
+ */
+function buildPrompt(content, options = {}) {
+    if (options.prompt) {
+        return options.prompt;
+    }
+
+    const template = options.template || resolveTemplate(DEFAULT_TEMPLATE);
+    const values = {
+        ...resolveVariables(template, options.variables || {}),
+        language: options.language || 'English',
+        content
+    };
+
+    return template.text.replace(/\{\{(\w+)\}\}/g, (placeholder, name) =>
+        values[name] !== undefined ? values[name] : placeholder
+    );
+}
+
+/**
+ * Latest version of every template, for discovery
+ */
+function listTemplates() {
+    const names = [...new Set(TEMPLATES.map(template => template.name))];
+    return names.map(name => {
+        const template = resolveTemplate(name);
+        return {
+            name: template.name,
+            version: template.version,
+            versions: TEMPLATES.filter(candidate => candidate.name === name).map(candidate => candidate.version),
+            description: template.description,
+            outputFormat: getOutputFormat(template),
+            variables: template.variables,
+            isDefault: name === DEFAULT_TEMPLATE
+        };
+    });
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE,
+    DEFAULT_JSON_TEMPLATE,
+    resolveTemplate,
+    selectTemplate,
+    getOutputFormat,
+    wantsStructuredOutput,
+    resolveVariables,
+    buildPrompt,
+    listTemplates
+};
@@ -0,0 +1,154 @@
+// Provider fixtures - record real provider responses to files and play them back
+// Used through AI_PROVIDER_MODE=record / replay (see ai-providers.js), so tests can run
+// against real model output with no network. One JSON file per distinct request, in
+// AI_FIXTURES_DIR (default: ai-fixtures in the system temp directory, outside the source tree).
+// API keys and endpoints are never stored, and neither is prompt text (customer content):
+// fixtures are found by a hash of the request. AI_FIXTURES_PROMPT_PREVIEW=true keeps the
+// first characters of each prompt for debugging recordings of non-sensitive content.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROMPT_PREVIEW_LENGTH = 200;
+
+function getFixturesDir() {
+    return process.env.AI_FIXTURES_DIR || path.join(os.tmpdir(), 'ai-fixtures');
+}
+
+function shouldStorePromptPreview() {
+    return (process.env.AI_FIXTURES_PROMPT_PREVIEW || '').trim().toLowerCase() === 'true';
+}
+
+/**
+ * Fixture identity: everything that changes the answer, apart from credentials and endpoint
+ */
+function getFixtureRequest(type, call, { model, prompt, maxTokens, structured = false }) {
+    return { type, call, model, maxTokens, structured: !!structured, prompt };
+}
+
+function getFixturePath(fixtureRequest) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(fixtureRequest)).digest('hex');
+    return path.join(getFixturesDir(), `${fixtureRequest.model.replace(/[^\w.-]+/g, '_')}-${hash.slice(0, 16)}.json`);
+}
+
+function createFixtureError({ message, status }) {
+    const error = new Error(message);
+    if (status) {
+        error.status = status;
+    }
+    return error;
+}
+
+/**
+ * Wraps a real client and saves each response (or provider error) as a fixture
+ */
+class RecordingProvider {
+    constructor(type, client) {
+        this.type = type;
+        this.client = client;
+    }
+
+    async record(call, request, run) {
+        const fixtureRequest = getFixtureRequest(this.type, call, request);
+        const fixture = {
+            request: {
+                ...fixtureRequest,
+                prompt: undefined,
+                promptLength: request.prompt.length,
+                promptPreview: shouldStorePromptPreview() ? request.prompt.slice(0, PROMPT_PREVIEW_LENGTH) : undefined
+            },
+            recordedAt: new Date().toISOString()
+        };
+
+        try {
+            const result = await run();
+            fixture.response = result;
+            await this.save(fixtureRequest, fixture);
+            return result;
+        } catch (error) {
+            // Aborted streams say nothing about the provider; don't keep them
+            if (!request.signal?.aborted) {
+                fixture.error = { message: error.message, status: error.status || null };
+                await this.save(fixtureRequest, fixture);
+            }
+            throw error;
+        }
+    }
+
+    async save(fixtureRequest, fixture) {
+        const fixturePath = getFixturePath(fixtureRequest);
+        try {
+            await fs.promises.mkdir(path.dirname(fixturePath), { recursive: true });
+            await fs.promises.writeFile(fixturePath, JSON.stringify(fixture, null, 2));
+            console.log(`📼 Recorded fixture: ${path.basename(fixturePath)}`);
+        } catch (error) {
+            console.warn(`⚠️ Failed to record fixture ${fixturePath}: ${error.message}`);
+        }
+    }
+
+    async generate(request) {
+        return this.record('generate', request, () => this.client.generate(request));
+    }
+
+    async stream(request) {
+        const chunks = [];
+        return this.record('stream', request, async () => {
+            const result = await this.client.stream({
+                ...request,
+                onText: (text) => {
+                    chunks.push(text);
+                    request.onText(text);
+                }
+            });
+            return { ...result, chunks };
+        });
+    }
+}
+
+/**
+ * Answers from recorded fixtures only; a request that was never recorded fails
+ * with code FIXTURE_NOT_FOUND
+ */
+class ReplayProvider {
+    constructor(type) {
+        this.type = type;
+    }
+
+    async load(call, request) {
+        const fixturePath = getFixturePath(getFixtureRequest(this.type, call, request));
+        let fixture;
+        try {
+            fixture = JSON.parse(await fs.promises.readFile(fixturePath, 'utf8'));
+        } catch (error) {
+            const notFound = new Error(`No recorded fixture for ${request.model} (${call}): ${fixturePath}`);
+            notFound.code = 'FIXTURE_NOT_FOUND';
+            throw notFound;
+        }
+
+        if (fixture.error) {
+            throw createFixtureError(fixture.error);
+        }
+        return fixture.response;
+    }
+
+    async generate(request) {
+        const { text, usage } = await this.load('generate', request);
+        return { text, usage: usage || null };
+    }
+
+    async stream(request) {
+        const { text, usage, chunks } = await this.load('stream', request);
+        for (const chunk of chunks || [text]) {
+            request.onText(chunk);
+        }
+        return { text, usage: usage || null };
+    }
+}
+
+module.exports = {
+    getFixturesDir,
+    RecordingProvider,
+    ReplayProvider
+};
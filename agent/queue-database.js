@@ -4,9 +4,11 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const crypto = require('crypto');
+const { DEFAULT_JOB_EVENTS, getDefaultCallbackUrl } = require('./callback-targets');
 
 // Create database connection with WAL mode for better concurrency
-const dbPath = path.join(__dirname, 'queue.db');
+// (QUEUE_DB_PATH moves it elsewhere, e.g. a temporary file for tests)
+const dbPath = process.env.QUEUE_DB_PATH || path.join(__dirname, 'queue.db');
 const db = new sqlite3.Database(dbPath);
 
 // Enable WAL mode and proper synchronization
@@ -17,6 +19,88 @@ db.exec(`
     PRAGMA busy_timeout = 5000;
 `);
 
+const JOB_STATES = ['queued', 'processing', 'succeeded', 'failed', 'dead', 'cancelled'];
+
+/**
+ * Jobs table definition, shared by initial creation and migrations
+ */
+function jobsTableSchema(tableName) {
+    return `
+        CREATE TABLE IF NOT EXISTS ${tableName} (
+            id TEXT PRIMARY KEY,
+            file_id TEXT NOT NULL,
+            dedupe_key TEXT NOT NULL,
+            content_hash TEXT NOT NULL,
+            payload_json TEXT NOT NULL,
+            priority INTEGER DEFAULT 1,
+            state TEXT DEFAULT 'queued' CHECK(state IN (${JOB_STATES.map(state => `'${state}'`).join(', ')})),
+            attempts INTEGER DEFAULT 0,
+            max_attempts INTEGER DEFAULT 3,
+            error TEXT,
+            result TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            locked_at DATETIME,
+            worker_id TEXT,
+            run_after DATETIME,
+            client_id TEXT,
+            callback_url TEXT,
+            callback_events TEXT,
+            tenant_id TEXT,
+            template_name TEXT,
+            template_version INTEGER,
+            template_variables TEXT,
+            language TEXT,
+            structured_result TEXT,
+            input_format TEXT,
+            normalization TEXT
+        )
+    `;
+}
+
+// Columns added after a table was first released, applied to existing databases
+const ADDED_COLUMNS = {
+    providers: {
+        type: "TEXT DEFAULT 'google'",
+        base_url: 'TEXT'
+    },
+    models: {
+        input_token_limit: 'INTEGER',
+        priority: 'INTEGER DEFAULT 100',
+        per_minute_token_limit: 'INTEGER',
+        per_day_token_limit: 'INTEGER'
+    },
+    rate_counters: {
+        used_tokens: 'INTEGER DEFAULT 0'
+    },
+    jobs: {
+        run_after: 'DATETIME',
+        client_id: 'TEXT',
+        callback_url: 'TEXT',
+        callback_events: 'TEXT',
+        tenant_id: 'TEXT',
+        template_name: 'TEXT',
+        template_version: 'INTEGER',
+        template_variables: 'TEXT',
+        language: 'TEXT',
+        structured_result: 'TEXT',
+        input_format: 'TEXT',
+        normalization: 'TEXT'
+    },
+    job_attempts: {
+        tenant_id: 'TEXT'
+    },
+    callback_outbox: {
+        event: `TEXT DEFAULT 'job.succeeded'`
+    },
+    api_keys: {
+        tenant_id: 'TEXT'
+    }
+};
+
+// Usage bucket for traffic that isn't tied to a tenant (internal callers)
+const UNTENANTED_USAGE_ID = '_untenanted';
+
 /**
  * Initialize all database tables
  */
@@ -31,6 +115,8 @@ function initializeQueueDatabase() {
                     api_key TEXT NOT NULL,
                     priority INTEGER DEFAULT 1,
                     enabled BOOLEAN DEFAULT 1,
+                    type TEXT DEFAULT 'google',
+                    base_url TEXT,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
                 )
@@ -45,31 +131,17 @@ function initializeQueueDatabase() {
                     per_minute_limit INTEGER DEFAULT 60,
                     per_day_limit INTEGER DEFAULT 1000,
                     enabled BOOLEAN DEFAULT 1,
+                    input_token_limit INTEGER,
+                    priority INTEGER DEFAULT 100,
+                    per_minute_token_limit INTEGER,
+                    per_day_token_limit INTEGER,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                     FOREIGN KEY (provider_id) REFERENCES providers (id)
                 )
             `);
 
             // Jobs queue table
-            db.run(`
-                CREATE TABLE IF NOT EXISTS jobs (
-                    id TEXT PRIMARY KEY,
-                    file_id TEXT NOT NULL,
-                    dedupe_key TEXT NOT NULL,
-                    content_hash TEXT NOT NULL,
-                    payload_json TEXT NOT NULL,
-                    priority INTEGER DEFAULT 1,
-                    state TEXT DEFAULT 'queued' CHECK(state IN ('queued', 'processing', 'succeeded', 'failed', 'dead')),
-                    attempts INTEGER DEFAULT 0,
-                    max_attempts INTEGER DEFAULT 3,
-                    error TEXT,
-                    result TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    locked_at DATETIME,
-                    worker_id TEXT
-                )
-            `);
+            db.run(jobsTableSchema('jobs'));
 
             // Job attempts tracking
             db.run(`
@@ -83,6 +155,7 @@ function initializeQueueDatabase() {
                     finished_at DATETIME,
                     success BOOLEAN DEFAULT 0,
                     error TEXT,
+                    tenant_id TEXT,
                     FOREIGN KEY (job_id) REFERENCES jobs (id),
                     FOREIGN KEY (provider_id) REFERENCES providers (id),
                     FOREIGN KEY (model_id) REFERENCES models (id)
@@ -97,6 +170,7 @@ function initializeQueueDatabase() {
                     period TEXT NOT NULL CHECK(period IN ('minute', 'day')),
                     window_start DATETIME NOT NULL,
                     used_count INTEGER DEFAULT 0,
+                    used_tokens INTEGER DEFAULT 0,
                     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
                     FOREIGN KEY (model_id) REFERENCES models (id)
                 )
@@ -113,12 +187,134 @@ function initializeQueueDatabase() {
                 )
             `);
 
+            // Callback outbox: completed results waiting to be delivered
+            db.run(`
+                CREATE TABLE IF NOT EXISTS callback_outbox (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    job_id TEXT NOT NULL,
+                    event TEXT DEFAULT 'job.succeeded',
+                    target_url TEXT NOT NULL,
+                    payload_json TEXT NOT NULL,
+                    state TEXT DEFAULT 'pending' CHECK(state IN ('pending', 'delivering', 'delivered', 'failed')),
+                    attempts INTEGER DEFAULT 0,
+                    max_attempts INTEGER DEFAULT 10,
+                    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    last_error TEXT,
+                    locked_at DATETIME,
+                    locked_by TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    delivered_at DATETIME,
+                    FOREIGN KEY (job_id) REFERENCES jobs (id)
+                )
+            `);
+
+            // Callback subscriptions: extra consumers of job events, optionally scoped to one client
+            db.run(`
+                CREATE TABLE IF NOT EXISTS callback_subscriptions (
+                    id TEXT PRIMARY KEY,
+                    client_id TEXT,
+                    target_url TEXT NOT NULL,
+                    events TEXT NOT NULL,
+                    enabled BOOLEAN DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Callback delivery log: one row per delivery attempt
+            db.run(`
+                CREATE TABLE IF NOT EXISTS callback_delivery_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    outbox_id INTEGER NOT NULL,
+                    job_id TEXT NOT NULL,
+                    attempt_no INTEGER NOT NULL,
+                    status_code INTEGER,
+                    success BOOLEAN DEFAULT 0,
+                    error TEXT,
+                    duration_ms INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (outbox_id) REFERENCES callback_outbox (id)
+                )
+            `);
+
+            // API keys for inbound requests; only the SHA-256 of each key is stored
+            db.run(`
+                CREATE TABLE IF NOT EXISTS api_keys (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    key_prefix TEXT NOT NULL,
+                    key_hash TEXT NOT NULL UNIQUE,
+                    enabled BOOLEAN DEFAULT 1,
+                    last_used_at DATETIME,
+                    revoked_at DATETIME,
+                    tenant_id TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    FOREIGN KEY (tenant_id) REFERENCES tenants (id)
+                )
+            `);
+
+            // Tenants: daily budgets and a guaranteed share of total model capacity
+            db.run(`
+                CREATE TABLE IF NOT EXISTS tenants (
+                    id TEXT PRIMARY KEY,
+                    name TEXT NOT NULL,
+                    requests_per_day INTEGER,
+                    tokens_per_day INTEGER,
+                    reserved_share REAL DEFAULT 0,
+                    enabled BOOLEAN DEFAULT 1,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Per-tenant daily usage (requests and estimated tokens sent to models)
+            db.run(`
+                CREATE TABLE IF NOT EXISTS tenant_usage (
+                    tenant_id TEXT NOT NULL,
+                    day TEXT NOT NULL,
+                    requests INTEGER DEFAULT 0,
+                    tokens INTEGER DEFAULT 0,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (tenant_id, day)
+                )
+            `);
+
             // Create indexes for performance
+            db.run(`CREATE INDEX IF NOT EXISTS idx_callback_outbox_due ON callback_outbox(state, next_attempt_at)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_callback_outbox_job ON callback_outbox(job_id)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_rate_counters_lookup ON rate_counters(model_id, period, window_start)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_models_enabled ON models(enabled, provider_id)`, (err) => {
+                if (err) {
+                    reject(err);
+                    return;
+                }
+
+                addMissingColumns()
+                    .then(migrateJobsTable)
+                    .then(createJobIndexes)
+                    .then(() => {
+                        console.log('Queue database initialized successfully');
+                        resolve();
+                    })
+                    .catch((migrationErr) => {
+                        console.error('Error migrating queue database:', migrationErr);
+                        reject(migrationErr);
+                    });
+            });
+        });
+    });
+}
+
+/**
+ * Create job indexes (also used to restore them after a table rebuild)
+ */
+function createJobIndexes() {
+    return new Promise((resolve, reject) => {
+        db.serialize(() => {
             db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_state ON jobs(state)`);
             db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_priority ON jobs(priority DESC, created_at ASC)`);
             db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_dedupe ON jobs(dedupe_key, content_hash, state)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_rate_counters_lookup ON rate_counters(model_id, period, window_start)`);
-            db.run(`CREATE INDEX IF NOT EXISTS idx_models_enabled ON models(enabled, provider_id)`);
+            db.run(`CREATE INDEX IF NOT EXISTS idx_jobs_run_after ON jobs(state, run_after)`);
 
             // Create unique constraint for deduplication (prevent duplicate active jobs)
             db.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_unique_active 
@@ -129,13 +325,194 @@ function initializeQueueDatabase() {
                     reject(err);
                     return;
                 }
-                console.log('Queue database initialized successfully');
                 resolve();
             });
         });
     });
 }
 
+/**
+ * Run a single statement and resolve with its change info
+ */
+function runStatement(query, params = []) {
+    return new Promise((resolve, reject) => {
+        db.run(query, params, function(err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve({ changes: this.changes, lastID: this.lastID });
+        });
+    });
+}
+
+/**
+ * Fetch a single row
+ */
+function getRow(query, params = []) {
+    return new Promise((resolve, reject) => {
+        db.get(query, params, (err, row) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(row);
+        });
+    });
+}
+
+/**
+ * Fetch all rows
+ */
+function allRows(query, params = []) {
+    return new Promise((resolve, reject) => {
+        db.all(query, params, (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+}
+
+// Every caller shares one connection, so any statement issued while a transaction is open
+// becomes part of it and is undone if it rolls back. Writes are therefore queued: each
+// transaction, and each write outside one (queuedRun, queuedAll), runs on its own, never
+// inside another caller's transaction. Reads are not queued and may see the uncommitted
+// writes of a transaction in progress. Schema setup at startup runs before anything else
+// and is not queued either.
+let writeQueue = Promise.resolve();
+
+/**
+ * Run `work` (async) once every write queued before it has finished
+ */
+function queueWrite(work) {
+    const run = writeQueue.then(work);
+    writeQueue = run.catch(() => {});
+    return run;
+}
+
+/**
+ * db.run for a write outside a transaction, queued (same callback as db.run)
+ */
+function queuedRun(query, params, callback) {
+    queueWrite(() => new Promise(resolve => {
+        db.run(query, params, function(err) {
+            try {
+                callback.call(this, err);
+            } finally {
+                resolve();
+            }
+        });
+    }));
+}
+
+/**
+ * db.all for a write with RETURNING outside a transaction, queued (same callback as db.all)
+ */
+function queuedAll(query, params, callback) {
+    queueWrite(() => new Promise(resolve => {
+        db.all(query, params, (err, rows) => {
+            try {
+                callback(err, rows);
+            } finally {
+                resolve();
+            }
+        });
+    }));
+}
+
+/**
+ * Run `work` inside a transaction, committing on success and rolling back on error.
+ * `work` must write through runStatement/getRow/allRows, never the queued helpers:
+ * those would wait for this transaction to finish.
+ */
+function withTransaction(work) {
+    return queueWrite(async () => {
+        await runStatement('BEGIN IMMEDIATE TRANSACTION');
+        try {
+            const result = await work();
+            await runStatement('COMMIT');
+            return result;
+        } catch (error) {
+            await runStatement('ROLLBACK').catch(() => {});
+            throw error;
+        }
+    });
+}
+
+/**
+ * Add columns introduced since a table was created (see ADDED_COLUMNS)
+ */
+async function addMissingColumns() {
+    for (const [table, addedColumns] of Object.entries(ADDED_COLUMNS)) {
+        const columns = await getTableColumns(table);
+
+        for (const [column, definition] of Object.entries(addedColumns)) {
+            if (!columns.includes(column)) {
+                console.log(`🔧 Migrating ${table} table (adding column: ${column})`);
+                await runStatement(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            }
+        }
+    }
+}
+
+/**
+ * Bring an existing jobs table's state list up to date.
+ * SQLite cannot alter a CHECK constraint, so a table whose state list is
+ * out of date is rebuilt and its rows copied across.
+ */
+async function migrateJobsTable() {
+    const columns = await getTableColumns('jobs');
+
+    const tableSql = await new Promise((resolve, reject) => {
+        db.get(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'jobs'`, [], (err, row) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(row.sql);
+        });
+    });
+
+    const missingStates = JOB_STATES.filter(state => !tableSql.includes(`'${state}'`));
+    if (missingStates.length === 0) {
+        return;
+    }
+
+    console.log(`🔧 Migrating jobs table (adding states: ${missingStates.join(', ')})`);
+    const columnList = columns.join(', ');
+
+    // Foreign keys must be off while the referenced table is swapped out
+    await runStatement('PRAGMA foreign_keys = OFF');
+    try {
+        await withTransaction(async () => {
+            await runStatement(jobsTableSchema('jobs_migrated'));
+            await runStatement(`INSERT INTO jobs_migrated (${columnList}) SELECT ${columnList} FROM jobs`);
+            await runStatement('DROP TABLE jobs');
+            await runStatement('ALTER TABLE jobs_migrated RENAME TO jobs');
+        });
+    } finally {
+        await runStatement('PRAGMA foreign_keys = ON');
+    }
+}
+
+/**
+ * List the column names of a table
+ */
+function getTableColumns(table) {
+    return new Promise((resolve, reject) => {
+        db.all(`PRAGMA table_info(${table})`, [], (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(rows.map(row => row.name));
+        });
+    });
+}
+
 /**
  * Generate content hash for deduplication
  */
@@ -152,14 +529,16 @@ function generateJobId() {
 
 /**
  * Add or update API provider
+ * type is the adapter (google, openai-compatible, ollama); baseUrl is the
+ * endpoint for HTTP providers (null for the adapter's default)
  */
-function upsertProvider(id, name, apiKey, priority = 1, enabled = true) {
+function upsertProvider(id, name, apiKey, priority = 1, enabled = true, type = 'google', baseUrl = null) {
     return new Promise((resolve, reject) => {
         const query = `
-            INSERT OR REPLACE INTO providers (id, name, api_key, priority, enabled, updated_at)
-            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            INSERT OR REPLACE INTO providers (id, name, api_key, priority, enabled, type, base_url, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
         `;
-        db.run(query, [id, name, apiKey, priority, enabled], function(err) {
+        queuedRun(query, [id, name, apiKey || '', priority, enabled, type, baseUrl], function(err) {
             if (err) {
                 reject(err);
                 return;
@@ -171,14 +550,18 @@ function upsertProvider(id, name, apiKey, priority = 1, enabled = true) {
 
 /**
  * Add or update AI model configuration
+ * Token limits (input tokens per minute / per day) are null when the model has none
  */
-function upsertModel(id, providerId, modelName, perMinuteLimit = 60, perDayLimit = 1000, enabled = true) {
+function upsertModel(id, providerId, modelName, perMinuteLimit = 60, perDayLimit = 1000, enabled = true, inputTokenLimit = null, priority = 100,
+    perMinuteTokenLimit = null, perDayTokenLimit = null) {
     return new Promise((resolve, reject) => {
         const query = `
-            INSERT OR REPLACE INTO models (id, provider_id, model_name, per_minute_limit, per_day_limit, enabled)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT OR REPLACE INTO models (id, provider_id, model_name, per_minute_limit, per_day_limit, enabled, input_token_limit, priority,
+                                           per_minute_token_limit, per_day_token_limit)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
-        db.run(query, [id, providerId, modelName, perMinuteLimit, perDayLimit, enabled], function(err) {
+        queuedRun(query, [id, providerId, modelName, perMinuteLimit, perDayLimit, enabled, inputTokenLimit, priority ?? 100,
+            perMinuteTokenLimit || null, perDayTokenLimit || null], function(err) {
             if (err) {
                 reject(err);
                 return;
@@ -190,18 +573,33 @@ function upsertModel(id, providerId, modelName, perMinuteLimit = 60, perDayLimit
 
 /**
  * Enqueue a new job with deduplication check
+ * Options:
+ *   runAfter       - Date or ISO string; the job is not claimed before then
+ *   clientId       - client the job belongs to (matches client-scoped subscriptions)
+ *   callbackUrl    - where this job's events are delivered (already validated)
+ *   callbackEvents - which events go to callbackUrl
+ *   tenantId       - tenant the job is billed to; also scopes deduplication
+ *   templateName, templateVersion, templateVariables - pinned prompt template
+ *   language       - output language code, or "source" to follow the detected source language
+ *   inputFormat    - payload format (html, markdown, ...); sniffed at processing time when null
+ *   normalization  - requested text normalization (parsed); the input format's default when null
+ *   variantKey     - identifies the requested output; jobs only dedupe when it matches
  */
-function enqueueJob(fileId, jsonData, priority = 1, maxAttempts = 3) {
+function enqueueJob(fileId, jsonData, priority = 1, maxAttempts = 3, options = {}) {
     return new Promise((resolve, reject) => {
+        const runAfter = options.runAfter ? new Date(options.runAfter).toISOString() : null;
+        const callbackEvents = options.callbackEvents ? JSON.stringify(options.callbackEvents) : null;
         // Fix payload contract: store jsonData directly as payload, not wrapped
         const content = JSON.stringify(jsonData);
-        const contentHash = generateContentHash(content);
-        const dedupeKey = fileId;
+        // Requests for a different output (e.g. another template) are not duplicates
+        const contentHash = generateContentHash(options.variantKey ? `${content}\n${options.variantKey}` : content);
+        // Tenants never share dedupe entries (or each other's stored results)
+        const dedupeKey = options.tenantId ? `${options.tenantId}:${fileId}` : fileId;
         const jobId = generateJobId();
 
         // Check for existing active job first (without transaction)
         const checkQuery = `
-            SELECT id, state, result FROM jobs 
+            SELECT id, state, result, structured_result FROM jobs 
             WHERE dedupe_key = ? AND content_hash = ? AND state IN ('queued', 'processing', 'succeeded')
         `;
         
@@ -213,7 +611,12 @@ function enqueueJob(fileId, jsonData, priority = 1, maxAttempts = 3) {
 
             if (existingJob) {
                 if (existingJob.state === 'succeeded') {
-                    resolve({ jobId: existingJob.id, status: 'already_completed', result: existingJob.result });
+                    resolve({
+                        jobId: existingJob.id,
+                        status: 'already_completed',
+                        result: existingJob.result,
+                        structuredResult: existingJob.structured_result ? JSON.parse(existingJob.structured_result) : null
+                    });
                 } else {
                     resolve({ jobId: existingJob.id, status: 'already_queued' });
                 }
@@ -222,11 +625,22 @@ function enqueueJob(fileId, jsonData, priority = 1, maxAttempts = 3) {
 
             // Insert new job (simple insert without nested transaction)
             const insertQuery = `
-                INSERT INTO jobs (id, file_id, dedupe_key, content_hash, payload_json, priority, max_attempts)
-                VALUES (?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO jobs (id, file_id, dedupe_key, content_hash, payload_json, priority, max_attempts, run_after,
+                                  client_id, callback_url, callback_events, tenant_id,
+                                  template_name, template_version, template_variables, language, input_format, normalization)
+                VALUES (?, ?, ?, ?, ?, ?, ?, datetime(?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
+            const insertParams = [
+                jobId, fileId, dedupeKey, contentHash, content, priority, maxAttempts, runAfter,
+                options.clientId || null, options.callbackUrl || null, callbackEvents, options.tenantId || null,
+                options.templateName || null, options.templateVersion || null,
+                options.templateVariables ? JSON.stringify(options.templateVariables) : null,
+                options.language || null,
+                options.inputFormat || null,
+                options.normalization ? JSON.stringify(options.normalization) : null
+            ];
             
-            db.run(insertQuery, [jobId, fileId, dedupeKey, contentHash, content, priority, maxAttempts], function(err) {
+            queuedRun(insertQuery, insertParams, function(err) {
                 if (err) {
                     // Handle unique constraint violation (race condition)
                     if (err.code === 'SQLITE_CONSTRAINT') {
@@ -248,241 +662,1086 @@ function enqueueJob(fileId, jsonData, priority = 1, maxAttempts = 3) {
                     return;
                 }
 
-                console.log(`✅ Job enqueued: ${jobId} for file: ${fileId}`);
-                resolve({ jobId, status: 'enqueued' });
+                console.log(`✅ Job enqueued: ${jobId} for file: ${fileId}${runAfter ? ` (runs after ${runAfter})` : ''}`);
+                resolve({ jobId, status: 'enqueued', runAfter });
             });
         });
     });
 }
 
 /**
- * Get next available job for processing (atomic claim)
+ * Claim up to `limit` available jobs for a worker in a single atomic statement.
+ * Safe across processes sharing queue.db: a job can only ever be claimed once.
+ * Each claim counts as one job-level attempt.
  */
-function claimNextJob(workerId) {
+function claimJobs(workerId, limit = 1) {
     return new Promise((resolve, reject) => {
-        // Find next available job
-        const selectQuery = `
-            SELECT * FROM jobs 
-            WHERE state = 'queued' 
-            ORDER BY priority DESC, created_at ASC 
-            LIMIT 1
+        const claimQuery = `
+            UPDATE jobs 
+            SET state = 'processing', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, worker_id = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id FROM jobs 
+                WHERE state = 'queued' 
+                AND (run_after IS NULL OR run_after <= CURRENT_TIMESTAMP)
+                ORDER BY priority DESC, created_at ASC 
+                LIMIT ?
+            )
+            AND state = 'queued'
+            RETURNING *
         `;
 
-        db.get(selectQuery, [], (err, job) => {
+        queuedAll(claimQuery, [workerId, limit], (err, jobs) => {
             if (err) {
                 reject(err);
                 return;
             }
 
-            if (!job) {
-                resolve(null); // No jobs available
-                return;
-            }
-
-            // Claim the job atomically
-            const updateQuery = `
-                UPDATE jobs 
-                SET state = 'processing', locked_at = CURRENT_TIMESTAMP, worker_id = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE id = ? AND state = 'queued'
-            `;
-
-            db.run(updateQuery, [workerId, job.id], function(err) {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+            // RETURNING does not preserve the subquery order
+            jobs.sort((a, b) => (b.priority - a.priority) || String(a.created_at).localeCompare(String(b.created_at)));
 
-                if (this.changes === 0) {
-                    // Job was claimed by another worker, try again
-                    resolve(null);
-                    return;
-                }
-                
+            const claimed = [];
+            for (const job of jobs) {
                 // Parse the payload
                 try {
                     job.payload = JSON.parse(job.payload_json);
                     delete job.payload_json; // Remove raw JSON
                     console.log(`🔒 Job claimed: ${job.id} by worker: ${workerId}`);
-                    resolve(job);
+                    claimed.push(job);
                 } catch (parseErr) {
-                    reject(new Error(`Failed to parse job payload: ${parseErr.message}`));
+                    // A corrupt payload can never succeed, so don't leave it holding a lease
+                    console.error(`❌ Failed to parse payload for job ${job.id}: ${parseErr.message}`);
+                    updateJobStatus(job.id, 'dead', null, `Failed to parse job payload: ${parseErr.message}`)
+                        .catch(updateErr => console.error(`❌ Failed to mark job ${job.id} dead:`, updateErr.message));
                 }
-            });
+            }
+
+            resolve(claimed);
         });
     });
 }
 
+/**
+ * Get next available job for processing (atomic claim)
+ */
+async function claimNextJob(workerId) {
+    const [job] = await claimJobs(workerId, 1);
+    return job || null;
+}
+
 /**
  * Update job status and result
+ * When workerId is given, the update only applies while that worker still holds the job's lease.
  */
-function updateJobStatus(jobId, state, result = null, error = null) {
+function updateJobStatus(jobId, state, result = null, error = null, workerId = null) {
     return new Promise((resolve, reject) => {
         const query = `
             UPDATE jobs 
             SET state = ?, result = ?, error = ?, updated_at = CURRENT_TIMESTAMP, locked_at = NULL, worker_id = NULL
-            WHERE id = ?
+            WHERE id = ?${workerId ? ` AND worker_id = ? AND state = 'processing'` : ''}
         `;
+        const params = workerId ? [state, result, error, jobId, workerId] : [state, result, error, jobId];
         
-        db.run(query, [state, result, error, jobId], function(err) {
+        queuedRun(query, params, function(err) {
             if (err) {
                 reject(err);
                 return;
             }
-            console.log(`📝 Job ${jobId} updated to state: ${state}`);
+            if (this.changes > 0) {
+                console.log(`📝 Job ${jobId} updated to state: ${state}`);
+            }
             resolve(this.changes > 0);
         });
     });
 }
 
 /**
- * Increment job attempt count
+ * Put a failed job back in the queue, not to be claimed before the given delay
+ * When workerId is given, the update only applies while that worker still holds the job's lease.
  */
-function incrementJobAttempt(jobId, providerId = null, modelId = null, success = false, error = null) {
+function scheduleJobRetry(jobId, error, delayMs, workerId = null) {
     return new Promise((resolve, reject) => {
-        // Increment attempts counter first
-        db.run(`UPDATE jobs SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [jobId], function(err) {
+        const runAfter = new Date(Date.now() + delayMs).toISOString();
+        const query = `
+            UPDATE jobs 
+            SET state = 'queued', error = ?, run_after = datetime(?), updated_at = CURRENT_TIMESTAMP,
+                locked_at = NULL, worker_id = NULL
+            WHERE id = ?${workerId ? ` AND worker_id = ? AND state = 'processing'` : ''}
+        `;
+        const params = workerId ? [error, runAfter, jobId, workerId] : [error, runAfter, jobId];
+
+        queuedRun(query, params, function(err) {
             if (err) {
                 reject(err);
                 return;
             }
+            if (this.changes > 0) {
+                console.log(`⏳ Job ${jobId} scheduled for retry after ${runAfter}`);
+            }
+            resolve(this.changes > 0);
+        });
+    });
+}
 
-            // Get the current attempt number
-            db.get(`SELECT attempts FROM jobs WHERE id = ?`, [jobId], (err, row) => {
-                if (err) {
-                    reject(err);
-                    return;
-                }
+/**
+ * Mark a job as succeeded and queue its callback deliveries in one transaction,
+ * so a stored result always has its delivery records and vice versa.
+ * structuredResult (JSON templates) is stored next to the markdown result.
+ * Resolves with the outbox IDs, or null if the worker no longer holds the job's lease.
+ */
+function completeJobWithDelivery(jobId, workerId, result, payload, structuredResult = null) {
+    return withTransaction(async () => {
+        const update = await runStatement(`
+            UPDATE jobs 
+            SET state = 'succeeded', result = ?, structured_result = ?, error = NULL,
+                updated_at = CURRENT_TIMESTAMP, locked_at = NULL, worker_id = NULL
+            WHERE id = ? AND worker_id = ? AND state = 'processing'
+        `, [result, structuredResult ? JSON.stringify(structuredResult) : null, jobId, workerId]);
 
-                // Record attempt details
-                const insertQuery = `
-                    INSERT INTO job_attempts (job_id, attempt_no, provider_id, model_id, finished_at, success, error)
-                    VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, ?, ?)
-                `;
+        if (update.changes === 0) {
+            return null;
+        }
 
-                db.run(insertQuery, [jobId, row.attempts, providerId, modelId, success, error], (err) => {
-                    if (err) {
-                        reject(err);
-                        return;
-                    }
-                    resolve();
-                });
-            });
-        });
+        const outboxIds = await insertEventDeliveries(jobId, 'job.succeeded', payload);
+
+        console.log(`📝 Job ${jobId} updated to state: succeeded (${outboxIds.length} deliveries queued)`);
+        return outboxIds;
     });
 }
 
 /**
- * Get available models with rate limit check
+ * Work out who receives an event for a job: the job's own callback URL (if
+ * the event is one it asked for, defaulting to the server-wide callback URL)
+ * plus every enabled subscription for that event, global or for the job's client.
  */
-function getAvailableModels() {
+async function resolveEventTargets(jobId, event) {
+    const job = await getRow(`SELECT client_id, callback_url, callback_events FROM jobs WHERE id = ?`, [jobId]);
+    if (!job) {
+        return [];
+    }
+
+    const targets = new Set();
+
+    const jobEvents = job.callback_events ? JSON.parse(job.callback_events) : DEFAULT_JOB_EVENTS;
+    if (jobEvents.includes(event)) {
+        targets.add(job.callback_url || getDefaultCallbackUrl());
+    }
+
+    const subscriptions = await allRows(`
+        SELECT target_url, events FROM callback_subscriptions
+        WHERE enabled = 1 AND (client_id IS NULL OR client_id = ?)
+    `, [job.client_id]);
+    for (const subscription of subscriptions) {
+        if (JSON.parse(subscription.events).includes(event)) {
+            targets.add(subscription.target_url);
+        }
+    }
+
+    return [...targets];
+}
+
+/**
+ * Insert one outbox row per target of a job event
+ */
+async function insertEventDeliveries(jobId, event, payload) {
+    const targets = await resolveEventTargets(jobId, event);
+    const payloadJson = JSON.stringify({ event, jobId, ...payload });
+    const outboxIds = [];
+
+    for (const targetUrl of targets) {
+        const insert = await runStatement(`
+            INSERT INTO callback_outbox (job_id, event, target_url, payload_json)
+            VALUES (?, ?, ?, ?)
+        `, [jobId, event, targetUrl, payloadJson]);
+        outboxIds.push(insert.lastID);
+    }
+
+    return outboxIds;
+}
+
+/**
+ * Queue delivery of a job event (job.dead, job.progress, ...) to its targets
+ */
+function queueJobEvent(jobId, event, payload = {}) {
+    return withTransaction(() => insertEventDeliveries(jobId, event, payload));
+}
+
+/**
+ * Renew a worker's lease on a job it is processing.
+ * Resolves false if the worker no longer owns the job (lease expired and was recovered).
+ */
+function renewJobLease(jobId, workerId) {
     return new Promise((resolve, reject) => {
         const query = `
-            SELECT m.*, p.name as provider_name, p.api_key, p.enabled as provider_enabled
-            FROM models m
-            JOIN providers p ON m.provider_id = p.id
-            WHERE m.enabled = 1 AND p.enabled = 1
-            AND p.id NOT IN (
-                SELECT provider_id FROM provider_backoff 
-                WHERE until > CURRENT_TIMESTAMP
-            )
-            ORDER BY p.priority ASC, m.id ASC
+            UPDATE jobs 
+            SET locked_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND worker_id = ? AND state = 'processing'
         `;
 
-        db.all(query, [], (err, models) => {
+        queuedRun(query, [jobId, workerId], function(err) {
             if (err) {
                 reject(err);
                 return;
             }
-            resolve(models);
+            resolve(this.changes > 0);
         });
     });
 }
 
 /**
- * Check and increment rate limit counter
+ * Get a single job by ID (payload excluded)
  */
-function checkAndIncrementRateLimit(modelId, period) {
+function getJob(jobId) {
     return new Promise((resolve, reject) => {
-        const windowStart = period === 'minute' 
-            ? new Date(Math.floor(Date.now() / 60000) * 60000).toISOString()
-            : new Date().toISOString().substr(0, 10) + ' 00:00:00';
+        const query = `
+            SELECT id, file_id, priority, state, attempts, max_attempts, error, result,
+                   created_at, updated_at, locked_at, worker_id, run_after,
+                   client_id, callback_url, callback_events, tenant_id,
+                   template_name, template_version, template_variables, language, structured_result, input_format,
+                   normalization
+            FROM jobs
+            WHERE id = ?
+        `;
 
-        db.serialize(() => {
-            db.run('BEGIN TRANSACTION');
+        db.get(query, [jobId], (err, job) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(job || null);
+        });
+    });
+}
 
-            // Get or create rate counter
-            const selectQuery = `
-                SELECT * FROM rate_counters 
-                WHERE model_id = ? AND period = ? AND window_start = ?
-            `;
+/**
+ * Cancel a queued job. Jobs already picked up by a worker are left alone.
+ */
+function cancelJob(jobId, reason = 'Cancelled by request') {
+    return new Promise((resolve, reject) => {
+        const query = `
+            UPDATE jobs 
+            SET state = 'cancelled', error = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND state = 'queued'
+        `;
+
+        queuedRun(query, [reason, jobId], function(err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            if (this.changes > 0) {
+                console.log(`🚫 Job ${jobId} cancelled`);
+            }
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Requeue a single dead or failed job with its attempt count reset
+ */
+function retryJob(jobId) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            UPDATE jobs 
+            SET state = 'queued', attempts = 0, error = NULL, result = NULL, run_after = NULL,
+                locked_at = NULL, worker_id = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND state IN ('dead', 'failed')
+        `;
+
+        queuedRun(query, [jobId], function(err) {
+            if (err) {
+                // Another active job already covers the same file and content
+                if (err.code === 'SQLITE_CONSTRAINT') {
+                    const conflict = new Error('An active job for the same file and content already exists');
+                    conflict.code = 'JOB_CONFLICT';
+                    reject(conflict);
+                    return;
+                }
+                reject(err);
+                return;
+            }
+            if (this.changes > 0) {
+                console.log(`🔁 Job ${jobId} requeued for retry`);
+            }
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+/**
+ * Bulk-requeue dead jobs, optionally filtered by error text and by the time
+ * they were last updated. Only one job per file/content pair is requeued, and
+ * pairs that already have an active job are skipped.
+ * Only jobs of tenantId (null: jobs without a tenant) are replayed unless allTenants is set.
+ */
+function replayDeadJobs({ errorContains = null, since = null, until = null, limit = 500, tenantId = null, allTenants = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const conditions = [`d.state = 'dead'`];
+        const params = [];
+
+        if (!allTenants) {
+            conditions.push(`d.tenant_id IS ?`);
+            params.push(tenantId);
+        }
+        if (errorContains) {
+            conditions.push(`d.error LIKE ? ESCAPE '\\'`);
+            params.push(`%${errorContains.replace(/[\\%_]/g, '\\$&')}%`);
+        }
+        if (since) {
+            conditions.push(`d.updated_at >= datetime(?)`);
+            params.push(since);
+        }
+        if (until) {
+            conditions.push(`d.updated_at <= datetime(?)`);
+            params.push(until);
+        }
+
+        const query = `
+            UPDATE jobs 
+            SET state = 'queued', attempts = 0, error = NULL, result = NULL, run_after = NULL,
+                locked_at = NULL, worker_id = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id FROM (
+                    SELECT d.id, MAX(d.updated_at) FROM jobs d
+                    WHERE ${conditions.join(' AND ')}
+                    AND NOT EXISTS (
+                        SELECT 1 FROM jobs a
+                        WHERE a.dedupe_key = d.dedupe_key AND a.content_hash = d.content_hash
+                        AND a.state IN ('queued', 'processing')
+                    )
+                    GROUP BY d.dedupe_key, d.content_hash
+                    LIMIT ?
+                )
+            )
+            RETURNING id
+        `;
+
+        queuedAll(query, [...params, limit], (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            const jobIds = rows.map(row => row.id);
+            console.log(`🔁 Replayed ${jobIds.length} dead jobs`);
+            resolve(jobIds);
+        });
+    });
+}
+
+/**
+ * Record one model try within the job's current attempt.
+ * A single attempt may try several models; only claiming a job counts against max_attempts.
+ */
+function recordModelTry(jobId, providerId = null, modelId = null, success = false, error = null) {
+    return new Promise((resolve, reject) => {
+        const insertQuery = `
+            INSERT INTO job_attempts (job_id, attempt_no, provider_id, model_id, finished_at, success, error, tenant_id)
+            SELECT id, attempts, ?, ?, CURRENT_TIMESTAMP, ?, ?, tenant_id FROM jobs WHERE id = ?
+        `;
+
+        queuedRun(insertQuery, [providerId, modelId, success, error, jobId], (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve();
+        });
+    });
+}
+
+/**
+ * Get the model tries recorded for a job, oldest first
+ */
+function getJobModelTries(jobId) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT attempt_no, provider_id, model_id, started_at, finished_at, success, error
+            FROM job_attempts
+            WHERE job_id = ?
+            ORDER BY id ASC
+        `;
+
+        db.all(query, [jobId], (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(rows);
+        });
+    });
+}
+
+/**
+ * Hand a claimed job back to the queue without using up an attempt
+ * (the worker could not run it, e.g. because no model had capacity)
+ */
+function releaseJob(jobId, workerId, reason, runAfter = null) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            UPDATE jobs 
+            SET state = 'queued', attempts = MAX(attempts - 1, 0), error = ?, run_after = datetime(?),
+                locked_at = NULL, worker_id = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND worker_id = ? AND state = 'processing'
+        `;
+
+        queuedRun(query, [reason, runAfter ? new Date(runAfter).toISOString() : null, jobId, workerId], function(err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            if (this.changes > 0) {
+                console.log(`↩️ Job ${jobId} released back to the queue: ${reason}`);
+            }
+            resolve(this.changes > 0);
+        });
+    });
+}
 
-            db.get(selectQuery, [modelId, period, windowStart], (err, counter) => {
+/**
+ * Claim callback deliveries that are due, plus any left 'delivering' by a
+ * dispatcher that stopped before finishing them
+ */
+function claimDueDeliveries(dispatcherId, limit = 10, staleAfterMs = 5 * 60 * 1000) {
+    return new Promise((resolve, reject) => {
+        const staleCutoff = new Date(Date.now() - staleAfterMs).toISOString();
+        const query = `
+            UPDATE callback_outbox 
+            SET state = 'delivering', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP, locked_by = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id IN (
+                SELECT id FROM callback_outbox 
+                WHERE (state = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP)
+                OR (state = 'delivering' AND locked_at < datetime(?))
+                ORDER BY next_attempt_at ASC 
+                LIMIT ?
+            )
+            RETURNING *
+        `;
+
+        queuedAll(query, [dispatcherId, staleCutoff, limit], (err, deliveries) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(deliveries.map(delivery => ({
+                ...delivery,
+                payload: JSON.parse(delivery.payload_json)
+            })));
+        });
+    });
+}
+
+/**
+ * Record the outcome of a delivery attempt in the log and update the outbox row:
+ * delivered on success, rescheduled when retryDelayMs is given, failed otherwise
+ */
+function finishDeliveryAttempt(delivery, outcome) {
+    return withTransaction(async () => {
+        await runStatement(`
+            INSERT INTO callback_delivery_log (outbox_id, job_id, attempt_no, status_code, success, error, duration_ms)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [delivery.id, delivery.job_id, delivery.attempts, outcome.statusCode || null, outcome.success ? 1 : 0, outcome.error || null, outcome.durationMs || null]);
+
+        if (outcome.success) {
+            await runStatement(`
+                UPDATE callback_outbox 
+                SET state = 'delivered', last_error = NULL, delivered_at = CURRENT_TIMESTAMP, locked_at = NULL, locked_by = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [delivery.id]);
+        } else if (outcome.retryDelayMs !== null && outcome.retryDelayMs !== undefined) {
+            await runStatement(`
+                UPDATE callback_outbox 
+                SET state = 'pending', last_error = ?, next_attempt_at = datetime(?), locked_at = NULL, locked_by = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [outcome.error, new Date(Date.now() + outcome.retryDelayMs).toISOString(), delivery.id]);
+        } else {
+            await runStatement(`
+                UPDATE callback_outbox 
+                SET state = 'failed', last_error = ?, locked_at = NULL, locked_by = NULL, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `, [outcome.error, delivery.id]);
+        }
+    });
+}
+
+/**
+ * Queue a fresh delivery of a succeeded job's stored result to every target
+ * it was delivered to, reusing the stored payload. Resolves with the new
+ * outbox IDs, or null if the job has no stored result to deliver.
+ */
+function requeueDelivery(jobId) {
+    return new Promise((resolve, reject) => {
+        const query = `
+            INSERT INTO callback_outbox (job_id, event, target_url, payload_json)
+            SELECT o.job_id, o.event, o.target_url, o.payload_json
+            FROM callback_outbox o
+            JOIN jobs j ON j.id = o.job_id
+            WHERE o.job_id = ? AND j.state = 'succeeded' AND o.event = 'job.succeeded'
+            AND o.id IN (SELECT MAX(id) FROM callback_outbox WHERE job_id = ? AND event = 'job.succeeded' GROUP BY target_url)
+            RETURNING id
+        `;
+
+        queuedAll(query, [jobId, jobId], (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            if (rows.length === 0) {
+                resolve(null);
+                return;
+            }
+            const outboxIds = rows.map(row => row.id);
+            console.log(`📮 Redelivery queued for job ${jobId} (${outboxIds.length} targets)`);
+            resolve(outboxIds);
+        });
+    });
+}
+
+/**
+ * Get all deliveries for a job with their attempt log
+ */
+function getJobDeliveries(jobId) {
+    return new Promise((resolve, reject) => {
+        const outboxQuery = `
+            SELECT id, event, target_url, state, attempts, max_attempts, next_attempt_at, last_error, created_at, delivered_at
+            FROM callback_outbox
+            WHERE job_id = ?
+            ORDER BY id ASC
+        `;
+        const logQuery = `
+            SELECT outbox_id, attempt_no, status_code, success, error, duration_ms, created_at
+            FROM callback_delivery_log
+            WHERE job_id = ?
+            ORDER BY id ASC
+        `;
+
+        db.all(outboxQuery, [jobId], (err, deliveries) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            db.all(logQuery, [jobId], (err, logEntries) => {
                 if (err) {
-                    db.run('ROLLBACK');
                     reject(err);
                     return;
                 }
+                resolve(deliveries.map(delivery => ({
+                    ...delivery,
+                    log: logEntries.filter(entry => entry.outbox_id === delivery.id)
+                })));
+            });
+        });
+    });
+}
 
-                if (!counter) {
-                    // Create new counter
-                    db.run(`INSERT INTO rate_counters (model_id, period, window_start, used_count) VALUES (?, ?, ?, 1)`,
-                        [modelId, period, windowStart], (err) => {
-                        if (err) {
-                            db.run('ROLLBACK');
-                            reject(err);
-                            return;
-                        }
-
-                        db.run('COMMIT', (err) => {
-                            if (err) {
-                                reject(err);
-                                return;
-                            }
-                            resolve({ allowed: true, count: 1 });
-                        });
-                    });
-                } else {
-                    // Get model limits
-                    const limitQuery = `SELECT per_minute_limit, per_day_limit FROM models WHERE id = ?`;
-                    db.get(limitQuery, [modelId], (err, model) => {
-                        if (err) {
-                            db.run('ROLLBACK');
-                            reject(err);
-                            return;
-                        }
-
-                        const limit = period === 'minute' ? model.per_minute_limit : model.per_day_limit;
-                        
-                        if (counter.used_count >= limit) {
-                            db.run('ROLLBACK');
-                            resolve({ allowed: false, count: counter.used_count, limit });
-                            return;
-                        }
-
-                        // Increment counter
-                        db.run(`UPDATE rate_counters SET used_count = used_count + 1 WHERE id = ?`,
-                            [counter.id], (err) => {
-                            if (err) {
-                                db.run('ROLLBACK');
-                                reject(err);
-                                return;
-                            }
+/**
+ * Add a callback subscription (URL and events already validated)
+ */
+function createSubscription(targetUrl, events, clientId = null) {
+    return new Promise((resolve, reject) => {
+        const subscriptionId = crypto.randomUUID();
+        const query = `
+            INSERT INTO callback_subscriptions (id, client_id, target_url, events)
+            VALUES (?, ?, ?, ?)
+        `;
 
-                            db.run('COMMIT', (err) => {
-                                if (err) {
-                                    reject(err);
-                                    return;
-                                }
-                                resolve({ allowed: true, count: counter.used_count + 1 });
-                            });
-                        });
-                    });
+        queuedRun(query, [subscriptionId, clientId, targetUrl, JSON.stringify(events)], (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            console.log(`🔔 Subscription ${subscriptionId} added: ${targetUrl} (${events.join(', ')})`);
+            resolve(subscriptionId);
+        });
+    });
+}
+
+/**
+ * List callback subscriptions
+ */
+function listSubscriptions() {
+    return new Promise((resolve, reject) => {
+        db.all(`SELECT * FROM callback_subscriptions ORDER BY created_at ASC`, [], (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(rows.map(row => ({ ...row, events: JSON.parse(row.events) })));
+        });
+    });
+}
+
+/**
+ * Remove a callback subscription
+ */
+function deleteSubscription(subscriptionId) {
+    return new Promise((resolve, reject) => {
+        queuedRun(`DELETE FROM callback_subscriptions WHERE id = ?`, [subscriptionId], function(err) {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(this.changes > 0);
+        });
+    });
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Issue a new API key. The plaintext key is only returned here, never stored.
+ */
+function createApiKey(name, tenantId = null) {
+    return new Promise((resolve, reject) => {
+        const keyId = crypto.randomUUID();
+        const apiKey = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+        const keyPrefix = apiKey.slice(0, 10);
+        const query = `
+            INSERT INTO api_keys (id, name, key_prefix, key_hash, tenant_id)
+            VALUES (?, ?, ?, ?, ?)
+        `;
+
+        queuedRun(query, [keyId, name, keyPrefix, hashApiKey(apiKey), tenantId], (err) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            console.log(`🔑 API key issued: ${name} (${keyPrefix}...)${tenantId ? ` for tenant ${tenantId}` : ''}`);
+            resolve({ id: keyId, name, keyPrefix, apiKey, tenantId });
+        });
+    });
+}
+
+/**
+ * Look up an API key by its plaintext value and mark it as used
+ */
+async function findApiKey(apiKey) {
+    const row = await getRow(`SELECT * FROM api_keys WHERE key_hash = ?`, [hashApiKey(apiKey)]);
+    if (row && row.enabled && !row.revoked_at) {
+        await queueWrite(() => runStatement(`UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id]));
+    }
+    return row || null;
+}
+
+/**
+ * List API keys (without hashes)
+ */
+function listApiKeys() {
+    return allRows(`
+        SELECT id, name, key_prefix, tenant_id, enabled, last_used_at, revoked_at, created_at
+        FROM api_keys
+        ORDER BY created_at ASC
+    `);
+}
+
+/**
+ * Revoke an API key; revoked keys are kept so their use can be reported as forbidden
+ */
+async function revokeApiKey(keyId) {
+    const result = await queueWrite(() => runStatement(`
+        UPDATE api_keys
+        SET enabled = 0, revoked_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND revoked_at IS NULL
+    `, [keyId]));
+    return result.changes > 0;
+}
+
+function createTenantError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_TENANT';
+    return error;
+}
+
+/**
+ * Create or update a tenant. Reserved shares of enabled tenants may not add up to more than 1.
+ */
+function upsertTenant(id, name, requestsPerDay = null, tokensPerDay = null, reservedShare = 0, enabled = true) {
+    return withTransaction(async () => {
+        const others = await getRow(`
+            SELECT COALESCE(SUM(reserved_share), 0) AS total
+            FROM tenants
+            WHERE id != ? AND enabled = 1
+        `, [id]);
+
+        if (enabled && others.total + reservedShare > 1 + 1e-9) {
+            throw createTenantError(`Reserved shares would total ${Math.round((others.total + reservedShare) * 100)}% (maximum 100%)`);
+        }
+
+        await runStatement(`
+            INSERT INTO tenants (id, name, requests_per_day, tokens_per_day, reserved_share, enabled)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET
+                name = excluded.name,
+                requests_per_day = excluded.requests_per_day,
+                tokens_per_day = excluded.tokens_per_day,
+                reserved_share = excluded.reserved_share,
+                enabled = excluded.enabled,
+                updated_at = CURRENT_TIMESTAMP
+        `, [id, name, requestsPerDay, tokensPerDay, reservedShare, enabled ? 1 : 0]);
+
+        return getRow(`SELECT * FROM tenants WHERE id = ?`, [id]);
+    });
+}
+
+/**
+ * Get a tenant by ID
+ */
+async function getTenant(tenantId) {
+    return (await getRow(`SELECT * FROM tenants WHERE id = ?`, [tenantId])) || null;
+}
+
+/**
+ * List tenants with today's usage
+ */
+function listTenants() {
+    return allRows(`
+        SELECT t.*, COALESCE(u.requests, 0) AS requests_today, COALESCE(u.tokens, 0) AS tokens_today
+        FROM tenants t
+        LEFT JOIN tenant_usage u ON u.tenant_id = t.id AND u.day = ?
+        ORDER BY t.created_at ASC
+    `, [getRateWindowStart('day').substr(0, 10)]);
+}
+
+/**
+ * Reserve one model request and its estimated tokens from a tenant's daily budget.
+ * Also enforces guaranteed shares: once a tenant has used its own reservation it may
+ * only draw from capacity that no tenant reserved. Requests without a tenant are
+ * counted under a shared bucket with no reservation of its own.
+ * Returns { allowed: true, requests, tokens } or { allowed: false, reason, resetAt }
+ * (resetAt is null when waiting won't help).
+ */
+function reserveTenantUsage(tenantId, estimatedTokens = 0) {
+    const usageId = tenantId || UNTENANTED_USAGE_ID;
+    const day = getRateWindowStart('day').substr(0, 10);
+    const resetAt = new Date(new Date(`${day}T00:00:00.000Z`).getTime() + 24 * 60 * 60 * 1000);
+
+    return withTransaction(async () => {
+        let tenant = null;
+        if (tenantId) {
+            tenant = await getRow(`SELECT * FROM tenants WHERE id = ?`, [tenantId]);
+            if (!tenant || !tenant.enabled) {
+                return { allowed: false, reason: `Tenant ${tenantId} is unknown or disabled`, resetAt: null };
+            }
+        }
+
+        const usage = (await getRow(`
+            SELECT requests, tokens FROM tenant_usage WHERE tenant_id = ? AND day = ?
+        `, [usageId, day])) || { requests: 0, tokens: 0 };
+
+        if (tenant && tenant.tokens_per_day !== null && estimatedTokens > tenant.tokens_per_day) {
+            return { allowed: false, reason: `Request needs ~${estimatedTokens} tokens, more than the tenant's daily budget of ${tenant.tokens_per_day}`, resetAt: null };
+        }
+        if (tenant && tenant.requests_per_day !== null && usage.requests >= tenant.requests_per_day) {
+            return { allowed: false, reason: `Tenant ${tenantId} daily request budget exhausted (${usage.requests}/${tenant.requests_per_day})`, resetAt };
+        }
+        if (tenant && tenant.tokens_per_day !== null && usage.tokens + estimatedTokens > tenant.tokens_per_day) {
+            return { allowed: false, reason: `Tenant ${tenantId} daily token budget exhausted (${usage.tokens}/${tenant.tokens_per_day})`, resetAt };
+        }
+
+        const capacity = await getRow(`
+            SELECT COALESCE(SUM(m.per_day_limit), 0) AS total
+            FROM models m
+            JOIN providers p ON m.provider_id = p.id
+            WHERE m.enabled = 1 AND p.enabled = 1
+        `);
+        const reservations = await allRows(`
+            SELECT t.id, t.reserved_share, COALESCE(u.requests, 0) AS requests
+            FROM tenants t
+            LEFT JOIN tenant_usage u ON u.tenant_id = t.id AND u.day = ?
+            WHERE t.enabled = 1 AND t.reserved_share > 0
+        `, [day]);
+
+        if (reservations.length > 0 && capacity.total > 0) {
+            const reservedFor = (share) => Math.floor(share * capacity.total);
+            const ownReservation = reservations.find(reservation => reservation.id === tenantId);
+
+            if (!ownReservation || usage.requests >= reservedFor(ownReservation.reserved_share)) {
+                const used = await getRow(`SELECT COALESCE(SUM(requests), 0) AS total FROM tenant_usage WHERE day = ?`, [day]);
+                const reservedTotal = reservations.reduce((sum, reservation) => sum + reservedFor(reservation.reserved_share), 0);
+                const usedWithinReservations = reservations.reduce(
+                    (sum, reservation) => sum + Math.min(reservation.requests, reservedFor(reservation.reserved_share)), 0
+                );
+
+                if (used.total - usedWithinReservations >= capacity.total - reservedTotal) {
+                    return { allowed: false, reason: 'Remaining model capacity today is reserved for other tenants', resetAt };
                 }
+            }
+        }
+
+        await runStatement(`
+            INSERT INTO tenant_usage (tenant_id, day, requests, tokens)
+            VALUES (?, ?, 1, ?)
+            ON CONFLICT(tenant_id, day) DO UPDATE SET
+                requests = requests + 1,
+                tokens = tokens + excluded.tokens,
+                updated_at = CURRENT_TIMESTAMP
+        `, [usageId, day, estimatedTokens]);
+
+        return { allowed: true, requests: usage.requests + 1, tokens: usage.tokens + estimatedTokens };
+    });
+}
+
+/**
+ * Change a tenant's usage for today by a number of requests and tokens (negative gives back)
+ */
+function adjustTenantUsage(tenantId, requests, tokens) {
+    return queueWrite(() => runStatement(`
+        UPDATE tenant_usage
+        SET requests = MAX(requests + ?, 0), tokens = MAX(tokens + ?, 0), updated_at = CURRENT_TIMESTAMP
+        WHERE tenant_id = ? AND day = ?
+    `, [requests, tokens, tenantId || UNTENANTED_USAGE_ID, getRateWindowStart('day').substr(0, 10)]));
+}
+
+/**
+ * Give back a reservation that never reached a model (e.g. no capacity)
+ */
+function refundTenantUsage(tenantId, estimatedTokens = 0) {
+    return adjustTenantUsage(tenantId, -1, -estimatedTokens);
+}
+
+/**
+ * Replace a reservation (one request, estimated tokens) with what was actually used:
+ * one request per model call that got an answer, and the reported input and output
+ * tokens when every call reported them. No answered call refunds the reservation.
+ */
+function settleTenantUsage(tenantId, reservedTokens, usage) {
+    if (usage.calls === 0) {
+        return refundTenantUsage(tenantId, reservedTokens);
+    }
+    const tokens = usage.complete ? usage.inputTokens + usage.outputTokens - reservedTokens : 0;
+    if (usage.calls === 1 && tokens === 0) {
+        return Promise.resolve();
+    }
+    return adjustTenantUsage(tenantId, usage.calls - 1, tokens);
+}
+
+/**
+ * Daily usage for the last `days` days and job counts by state for a tenant
+ */
+async function getTenantUsage(tenantId, days = 7) {
+    const daily = await allRows(`
+        SELECT day, requests, tokens
+        FROM tenant_usage
+        WHERE tenant_id = ? AND day > date('now', ?)
+        ORDER BY day DESC
+    `, [tenantId || UNTENANTED_USAGE_ID, `-${days} days`]);
+
+    const jobRows = await allRows(`
+        SELECT state, COUNT(*) AS count
+        FROM jobs
+        WHERE ${tenantId ? 'tenant_id = ?' : 'tenant_id IS NULL'}
+        GROUP BY state
+    `, tenantId ? [tenantId] : []);
+
+    const modelTries = await getRow(`
+        SELECT COUNT(*) AS total, COALESCE(SUM(success), 0) AS succeeded
+        FROM job_attempts
+        WHERE ${tenantId ? 'tenant_id = ?' : 'tenant_id IS NULL'} AND started_at > datetime('now', ?)
+    `, tenantId ? [tenantId, `-${days} days`] : [`-${days} days`]);
+
+    return {
+        daily,
+        jobs: Object.fromEntries(jobRows.map(row => [row.state, row.count])),
+        modelTries
+    };
+}
+
+/**
+ * Get available models with rate limit check
+ */
+function getAvailableModels() {
+    return new Promise((resolve, reject) => {
+        const query = `
+            SELECT m.*, p.name as provider_name, p.api_key, p.enabled as provider_enabled,
+                   COALESCE(p.type, 'google') as provider_type, p.base_url
+            FROM models m
+            JOIN providers p ON m.provider_id = p.id
+            WHERE m.enabled = 1 AND p.enabled = 1
+            AND p.id NOT IN (
+                SELECT provider_id FROM provider_backoff 
+                WHERE datetime(until) > CURRENT_TIMESTAMP
+            )
+            ORDER BY p.priority ASC, m.priority ASC, m.id ASC
+        `;
+
+        db.all(query, [], (err, models) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            resolve(models);
+        });
+    });
+}
+
+/**
+ * Start of the current rate limit window for a period
+ */
+function getRateWindowStart(period, now = Date.now()) {
+    return period === 'minute' 
+        ? new Date(Math.floor(now / 60000) * 60000).toISOString()
+        : new Date(now).toISOString().substr(0, 10) + ' 00:00:00';
+}
+
+/**
+ * Work out how many more requests the enabled models can take right now,
+ * from the current rate windows and provider backoff. When nothing has
+ * capacity, nextAvailableAt is the earliest time a model frees up.
+ */
+function getRoutingCapacity() {
+    return new Promise((resolve, reject) => {
+        const now = Date.now();
+        const query = `
+            SELECT m.id, m.model_name, m.per_minute_limit, m.per_day_limit, m.provider_id,
+                   m.per_minute_token_limit, m.per_day_token_limit,
+                   CAST(strftime('%s', b.until) AS INTEGER) AS backoff_until_epoch,
+                   (SELECT COALESCE(SUM(used_count), 0) FROM rate_counters
+                    WHERE model_id = m.id AND period = 'minute' AND window_start = ?1) AS minute_used,
+                   (SELECT COALESCE(SUM(used_count), 0) FROM rate_counters
+                    WHERE model_id = m.id AND period = 'day' AND window_start = ?2) AS day_used,
+                   (SELECT COALESCE(SUM(used_tokens), 0) FROM rate_counters
+                    WHERE model_id = m.id AND period = 'minute' AND window_start = ?1) AS minute_tokens_used,
+                   (SELECT COALESCE(SUM(used_tokens), 0) FROM rate_counters
+                    WHERE model_id = m.id AND period = 'day' AND window_start = ?2) AS day_tokens_used
+            FROM models m
+            JOIN providers p ON m.provider_id = p.id
+            LEFT JOIN provider_backoff b ON b.provider_id = p.id AND datetime(b.until) > CURRENT_TIMESTAMP
+            WHERE m.enabled = 1 AND p.enabled = 1
+        `;
+
+        db.all(query, [getRateWindowStart('minute', now), getRateWindowStart('day', now)], (err, rows) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+
+            const nextMinute = Math.floor(now / 60000) * 60000 + 60000;
+            const nextDay = Date.parse(new Date(now).toISOString().substr(0, 10)) + 24 * 60 * 60 * 1000;
+
+            const models = rows.map(row => {
+                // A window whose token budget is used up takes no more requests either
+                const minuteTokensRemaining = row.per_minute_token_limit ? Math.max(0, row.per_minute_token_limit - row.minute_tokens_used) : null;
+                const dayTokensRemaining = row.per_day_token_limit ? Math.max(0, row.per_day_token_limit - row.day_tokens_used) : null;
+                const minuteRemaining = minuteTokensRemaining === 0 ? 0 : Math.max(0, row.per_minute_limit - row.minute_used);
+                const dayRemaining = dayTokensRemaining === 0 ? 0 : Math.max(0, row.per_day_limit - row.day_used);
+                const backoffUntil = row.backoff_until_epoch ? row.backoff_until_epoch * 1000 : null;
+
+                let availableAt = now;
+                if (backoffUntil) {
+                    availableAt = Math.max(availableAt, backoffUntil);
+                }
+                if (minuteRemaining === 0) {
+                    availableAt = Math.max(availableAt, nextMinute);
+                }
+                if (dayRemaining === 0) {
+                    availableAt = Math.max(availableAt, nextDay);
+                }
+
+                return {
+                    id: row.id,
+                    name: row.model_name,
+                    remaining: backoffUntil ? 0 : Math.min(minuteRemaining, dayRemaining),
+                    minuteRemaining,
+                    dayRemaining,
+                    minuteTokensRemaining,
+                    dayTokensRemaining,
+                    backoffUntil: backoffUntil ? new Date(backoffUntil).toISOString() : null,
+                    availableAt: new Date(availableAt).toISOString()
+                };
             });
+
+            const remaining = models.reduce((sum, model) => sum + model.remaining, 0);
+            const nextAvailableAt = remaining > 0 || models.length === 0
+                ? null
+                : new Date(Math.min(...models.map(model => Date.parse(model.availableAt)))).toISOString();
+
+            resolve({ remaining, nextAvailableAt, models });
         });
     });
 }
 
+const RATE_PERIODS = ['minute', 'day'];
+
+/**
+ * Reserve one request and an estimated number of input tokens on a model's
+ * minute and day windows, atomically: nothing is counted unless both have room.
+ * Returns { allowed: true, reservation } (pass reservation to correctModelUsage
+ * once real usage is known) or { allowed: false, period, reason, used, limit }
+ * where reason is 'requests' or 'tokens'.
+ */
+function reserveModelUsage(modelId, estimatedTokens = 0) {
+    const now = Date.now();
+
+    return withTransaction(async () => {
+        const model = await getRow(`
+            SELECT per_minute_limit, per_day_limit, per_minute_token_limit, per_day_token_limit
+            FROM models WHERE id = ?
+        `, [modelId]);
+        if (!model) {
+            throw new Error(`Model ${modelId} not found`);
+        }
+
+        const windows = [];
+        for (const period of RATE_PERIODS) {
+            const windowStart = getRateWindowStart(period, now);
+            const counter = await getRow(`
+                SELECT id, used_count, used_tokens FROM rate_counters
+                WHERE model_id = ? AND period = ? AND window_start = ?
+            `, [modelId, period, windowStart]);
+            const used = counter || { used_count: 0, used_tokens: 0 };
+
+            const limit = period === 'minute' ? model.per_minute_limit : model.per_day_limit;
+            if (used.used_count >= limit) {
+                return { allowed: false, period, reason: 'requests', used: used.used_count, limit };
+            }
+
+            const tokenLimit = period === 'minute' ? model.per_minute_token_limit : model.per_day_token_limit;
+            if (tokenLimit && used.used_tokens + estimatedTokens > tokenLimit) {
+                return { allowed: false, period, reason: 'tokens', used: used.used_tokens, limit: tokenLimit };
+            }
+
+            windows.push({ period, windowStart, counterId: counter?.id });
+        }
+
+        for (const window of windows) {
+            if (window.counterId) {
+                await runStatement(`UPDATE rate_counters SET used_count = used_count + 1, used_tokens = used_tokens + ? WHERE id = ?`,
+                    [estimatedTokens, window.counterId]);
+            } else {
+                await runStatement(`INSERT INTO rate_counters (model_id, period, window_start, used_count, used_tokens) VALUES (?, ?, ?, 1, ?)`,
+                    [modelId, window.period, window.windowStart, estimatedTokens]);
+            }
+        }
+
+        return {
+            allowed: true,
+            reservation: { modelId, tokens: estimatedTokens, windows: windows.map(({ period, windowStart }) => ({ period, windowStart })) }
+        };
+    });
+}
+
+/**
+ * Replace a reservation's estimated tokens with the tokens actually used, and count
+ * requests made beyond the reserved one (e.g. structured output retries), in the
+ * windows the reservation was counted in. Calls already made are counted even past a limit.
+ */
+function correctModelUsage(reservation, actualTokens, extraRequests = 0) {
+    const delta = actualTokens - reservation.tokens;
+    if (delta === 0 && extraRequests === 0) {
+        return Promise.resolve();
+    }
+
+    return withTransaction(async () => {
+        for (const { period, windowStart } of reservation.windows) {
+            await runStatement(`
+                UPDATE rate_counters SET used_count = used_count + ?, used_tokens = MAX(0, used_tokens + ?)
+                WHERE model_id = ? AND period = ? AND window_start = ?
+            `, [extraRequests, delta, reservation.modelId, period, windowStart]);
+        }
+    });
+}
+
 /**
  * Set provider backoff
  */
@@ -493,7 +1752,7 @@ function setProviderBackoff(providerId, until, reason) {
             VALUES (?, ?, ?)
         `;
         
-        db.run(query, [providerId, until, reason], function(err) {
+        queuedRun(query, [providerId, until, reason], function(err) {
             if (err) {
                 reject(err);
                 return;
@@ -528,7 +1787,8 @@ function getQueueStats() {
                 processing: 0,
                 succeeded: 0,
                 failed: 0,
-                dead: 0
+                dead: 0,
+                cancelled: 0
             };
 
             stats.forEach(stat => {
@@ -541,28 +1801,45 @@ function getQueueStats() {
 }
 
 /**
- * Clean up stale jobs (unlock jobs that have been processing too long)
+ * Recover jobs whose lease has expired (the owning worker stopped heartbeating).
+ * The interrupted run was counted as an attempt when it was claimed: jobs with
+ * attempts left go back to the queue, the rest are marked dead.
  */
-function cleanupStaleJobs(timeoutMinutes = 10) {
+function recoverExpiredLeases(leaseTimeoutMs = 2 * 60 * 1000) {
     return new Promise((resolve, reject) => {
-        const cutoffTime = new Date(Date.now() - timeoutMinutes * 60 * 1000).toISOString();
+        const cutoffTime = new Date(Date.now() - leaseTimeoutMs).toISOString();
         
         const query = `
             UPDATE jobs 
-            SET state = 'failed', error = 'Job timed out', locked_at = NULL, worker_id = NULL, updated_at = CURRENT_TIMESTAMP
-            WHERE state = 'processing' AND locked_at < ?
+            SET state = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'queued' END,
+                error = 'Lease expired: worker ' || COALESCE(worker_id, 'unknown') || ' stopped responding',
+                locked_at = NULL, worker_id = NULL, updated_at = CURRENT_TIMESTAMP
+            WHERE state = 'processing' AND (locked_at IS NULL OR locked_at < datetime(?))
+            RETURNING id, file_id, state, error, attempts
         `;
 
-        db.run(query, [cutoffTime], function(err) {
+        queuedAll(query, [cutoffTime], (err, rows) => {
             if (err) {
                 reject(err);
                 return;
             }
             
-            if (this.changes > 0) {
-                console.log(`🧹 Cleaned up ${this.changes} stale jobs`);
+            const recovered = {
+                requeued: rows.filter(row => row.state === 'queued').length,
+                dead: rows.filter(row => row.state === 'dead').length
+            };
+            if (rows.length > 0) {
+                console.log(`🧹 Recovered ${rows.length} jobs with expired leases (${recovered.requeued} requeued, ${recovered.dead} dead)`);
             }
-            resolve(this.changes);
+
+            const deadJobs = rows.filter(row => row.state === 'dead');
+            Promise.all(deadJobs.map(row => queueJobEvent(row.id, 'job.dead', {
+                fileId: row.file_id,
+                error: row.error,
+                attempts: row.attempts
+            })))
+                .then(() => resolve(recovered))
+                .catch(reject);
         });
     });
 }
@@ -590,14 +1867,45 @@ module.exports = {
     upsertProvider,
     upsertModel,
     enqueueJob,
+    claimJobs,
     claimNextJob,
     updateJobStatus,
-    incrementJobAttempt,
+    scheduleJobRetry,
+    renewJobLease,
+    releaseJob,
+    completeJobWithDelivery,
+    queueJobEvent,
+    getJob,
+    cancelJob,
+    retryJob,
+    replayDeadJobs,
+    recordModelTry,
+    claimDueDeliveries,
+    finishDeliveryAttempt,
+    requeueDelivery,
+    getJobDeliveries,
+    createSubscription,
+    listSubscriptions,
+    deleteSubscription,
+    createApiKey,
+    findApiKey,
+    listApiKeys,
+    revokeApiKey,
+    upsertTenant,
+    getTenant,
+    listTenants,
+    reserveTenantUsage,
+    refundTenantUsage,
+    settleTenantUsage,
+    getTenantUsage,
+    getJobModelTries,
     getAvailableModels,
-    checkAndIncrementRateLimit,
+    getRoutingCapacity,
+    reserveModelUsage,
+    correctModelUsage,
     setProviderBackoff,
     getQueueStats,
-    cleanupStaleJobs,
+    recoverExpiredLeases,
     closeQueueDatabase,
     db
 };
@@ -1,16 +1,26 @@
 // Queue Worker - High-speed job processing with atomic operations
-// Processes jobs one by one with configurable concurrency
+// Claims as many jobs as it has free slots, up to its configured concurrency
 
-const { extractOptimizedContent, calculateSmartTokenLimit, cleanContentForAI } = require('./content-extractor');
-const { aiRouter } = require('./ai-router');
+const { extractOptimizedContent, calculateSmartTokenLimit, estimateRequestTokens } = require('./content-extractor');
+const { aiRouter, createUsageTracker } = require('./ai-router');
 const { configManager } = require('./config-manager');
+const { DEFAULT_TEMPLATE, resolveTemplate, getOutputFormat } = require('./prompt-templates');
+const { resolveOutputLanguage } = require('./language-detection');
+const { toSummaryResult } = require('./structured-output');
 const { 
-    claimNextJob, 
+    claimJobs, 
     updateJobStatus, 
-    cleanupStaleJobs,
+    scheduleJobRetry,
+    releaseJob,
+    completeJobWithDelivery,
+    queueJobEvent,
+    getRoutingCapacity,
+    reserveTenantUsage,
+    settleTenantUsage,
+    renewJobLease,
+    recoverExpiredLeases,
     getQueueStats 
 } = require('./queue-database');
-const axios = require('axios');
 
 class QueueWorker {
     constructor(workerId = null, options = {}) {
@@ -18,13 +28,18 @@ class QueueWorker {
         this.isRunning = false;
         this.concurrency = options.concurrency || 1; // Process one job at a time as requested
         this.pollInterval = options.pollInterval || 1000; // Check for jobs every second
-        this.staleJobCleanupInterval = options.staleJobCleanupInterval || 5 * 60 * 1000; // 5 minutes
-        this.clientCallbackUrl = options.clientCallbackUrl || 'http://localhost:5000/api/summary-callback';
+        this.staleJobCleanupInterval = options.staleJobCleanupInterval || 60 * 1000; // Look for expired leases every minute
+        this.leaseTimeout = options.leaseTimeout || 2 * 60 * 1000; // Lease expires 2 minutes after the last heartbeat
+        this.heartbeatInterval = options.heartbeatInterval || 30 * 1000; // Renew leases every 30 seconds
+        this.retryBaseDelay = options.retryBaseDelay || 30 * 1000; // First retry after ~30 seconds
+        this.retryMaxDelay = options.retryMaxDelay || 30 * 60 * 1000; // Never wait more than 30 minutes
+        this.capacityRecheckInterval = options.capacityRecheckInterval || 60 * 1000; // Re-check model capacity at least once a minute while paused
 
         this.activeJobs = new Set();
         this.processedJobs = 0;
         this.failedJobs = 0;
         this.startTime = null;
+        this.pausedUntil = null; // Set while no model has capacity
 
         console.log(`🏗️ Queue worker initialized: ${this.workerId}`);
         console.log(`⚙️ Concurrency: ${this.concurrency}, Poll interval: ${this.pollInterval}ms`);
@@ -48,6 +63,11 @@ class QueueWorker {
             this.performCleanup();
         }, this.staleJobCleanupInterval);
 
+        // Keep leases on active jobs alive
+        this.heartbeatTimer = setInterval(() => {
+            this.renewLeases();
+        }, this.heartbeatInterval);
+
         // Start main processing loop
         this.processingLoop();
     }
@@ -74,6 +94,11 @@ class QueueWorker {
             await new Promise(resolve => setTimeout(resolve, 1000));
         }
 
+        // Leases are only released once nothing is left running
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+        }
+
         console.log(`✅ Worker ${this.workerId} stopped successfully`);
     }
 
@@ -84,12 +109,23 @@ class QueueWorker {
         while (this.isRunning) {
             try {
                 // Check if we can take more jobs
-                if (this.activeJobs.size < this.concurrency) {
-                    const job = await claimNextJob(this.workerId);
+                const freeSlots = this.concurrency - this.activeJobs.size;
+                if (freeSlots > 0) {
+                    // Don't claim work that no model has the quota to run
+                    const capacity = await getRoutingCapacity();
+                    if (capacity.remaining === 0) {
+                        await this.pauseForCapacity(capacity);
+                        continue;
+                    }
+                    this.resumeFromPause();
+
+                    const jobs = await claimJobs(this.workerId, Math.min(freeSlots, capacity.remaining));
 
-                    if (job) {
-                        // Process job asynchronously
-                        this.processJob(job);
+                    if (jobs.length > 0) {
+                        // Process jobs asynchronously; nothing awaits them, so a rejection must end here
+                        jobs.forEach(job => this.processJob(job).catch(error => {
+                            console.error(`❌ [${job.file_id}] Unexpected error processing job ${job.id}:`, error);
+                        }));
                     } else {
                         // No jobs available, wait before checking again
                         await this.sleep(this.pollInterval);
@@ -105,73 +141,143 @@ class QueueWorker {
         }
     }
 
+    /**
+     * Wait until a model is expected to have capacity again (re-checking at
+     * least every capacityRecheckInterval in case limits or providers change)
+     */
+    async pauseForCapacity(capacity) {
+        const availableAt = capacity.nextAvailableAt ? Date.parse(capacity.nextAvailableAt) : Date.now() + this.capacityRecheckInterval;
+        const waitMs = Math.min(Math.max(availableAt - Date.now(), this.pollInterval), this.capacityRecheckInterval);
+
+        if (!this.pausedUntil) {
+            console.log(`⏸️ [${this.workerId}] No model has capacity, pausing job claims until ${capacity.nextAvailableAt || 'models are configured'}`);
+        }
+        this.pausedUntil = new Date(availableAt);
+
+        await this.sleep(waitMs);
+    }
+
+    /**
+     * Clear the paused state once capacity is back
+     */
+    resumeFromPause() {
+        if (this.pausedUntil) {
+            console.log(`▶️ [${this.workerId}] Model capacity available again, resuming job claims`);
+            this.pausedUntil = null;
+        }
+    }
+
     /**
      * Process a single job
      */
     async processJob(job) {
         this.activeJobs.add(job.id);
         const startTime = Date.now();
+        let reservedTokens = null;
+        const usage = createUsageTracker();
 
         try {
             console.log(`\n🔄 [${job.file_id}] Processing job: ${job.id}`);
-            console.log(`📊 [${job.file_id}] Attempt ${job.attempts + 1}/${job.max_attempts}`);
+            console.log(`📊 [${job.file_id}] Attempt ${job.attempts}/${job.max_attempts}`);
+            this.reportProgress(job, 'started');
 
             // Step 1: Extract content
             console.log(`📋 [${job.file_id}] Extracting content...`);
             console.log(`🔍 [${job.file_id}] Payload keys:`, Object.keys(job.payload || {}));
             console.log(`🔍 [${job.file_id}] Has filteredData:`, !!(job.payload?.filteredData));
             console.log(`🔍 [${job.file_id}] Has jsonData:`, !!(job.payload?.jsonData));
-            const extractionResult = extractOptimizedContent(job.payload);
+            const extractionResult = extractOptimizedContent(job.payload, {
+                format: job.input_format,
+                normalization: job.normalization ? JSON.parse(job.normalization) : null
+            });
 
             if (!extractionResult.extractedText || extractionResult.extractedText.trim().length === 0) {
                 throw new Error('No extractable content found in payload');
             }
 
-            console.log(`📊 [${job.file_id}] Extraction completed:`);
+            console.log(`📊 [${job.file_id}] Extraction completed (${extractionResult.inputFormat} input):`);
             console.log(`   - Content blocks: ${extractionResult.contentBlocks}`);
             console.log(`   - Total words: ${extractionResult.totalWords}`);
+            if (extractionResult.contentFilter?.removedBlocks > 0) {
+                console.log(`   - Filtered: ${extractionResult.contentFilter.removedBlocks} boilerplate/duplicate blocks (${extractionResult.contentFilter.removedWords} words)`);
+            }
+            console.log(`   - Normalization: ${extractionResult.normalization.join(', ') || 'none'}`);
             console.log(`   - Processing time: ${extractionResult.processingTimeMs}ms`);
+            console.log(`   - Source language: ${extractionResult.language.name || 'unknown'}`);
+            this.reportProgress(job, 'extracted', {
+                contentBlocks: extractionResult.contentBlocks,
+                totalWords: extractionResult.totalWords,
+                sourceLanguage: extractionResult.language
+            });
 
-            // Step 2: Calculate token limits based on main content words
-            const wordCount = extractionResult.mainContentWords || extractionResult.totalWords;
-            const tokenLimit = calculateSmartTokenLimit(wordCount);
-            console.log(`🎯 [${job.file_id}] Token limit: ${tokenLimit} (based on ${wordCount} main content words, total: ${extractionResult.totalWords})`);
-
-            // Step 3: Clean content for AI
-            const cleanedContent = cleanContentForAI(extractionResult.extractedText);
-            console.log(`🧹 [${job.file_id}] Content cleaned: ${cleanedContent.length} characters`);
+            // Step 2: Calculate token limits based on estimated content tokens
+            const tokenLimit = calculateSmartTokenLimit(extractionResult.estimatedTokens);
+            console.log(`🎯 [${job.file_id}] Token limit: ${tokenLimit} (based on ~${extractionResult.estimatedTokens} content tokens, ${extractionResult.mainContentWords} main content words)`);
 
-            // Step 4: Check available models from config
+            // Step 3: Check available models from config
             console.log(`🔧 [${job.file_id}] Checking configured models...`);
             const configSummary = await configManager.getConfigurationSummary();
             console.log(`📋 [${job.file_id}] Available models: ${configSummary?.enabledModels || 0}`);
             
+            // Not the job's fault: wait for a model like any other capacity shortage
             if (!configSummary || configSummary.enabledModels === 0) {
-                throw new Error('No AI models configured or enabled in config manager');
+                const capacityError = new Error('No AI models configured or enabled in config manager');
+                capacityError.code = 'NO_CAPACITY';
+                throw capacityError;
             }
 
-            // Step 5: Generate summary using AI router
-            const summary = await aiRouter.summarizeContent(
-                cleanedContent, 
+            // Step 4: Charge the tenant's daily budget before any model is called
+            const estimatedTokens = estimateRequestTokens(extractionResult.extractedText, tokenLimit);
+            const budget = await reserveTenantUsage(job.tenant_id, estimatedTokens);
+            if (!budget.allowed) {
+                const budgetError = new Error(budget.reason);
+                budgetError.code = 'TENANT_BUDGET';
+                budgetError.resetAt = budget.resetAt;
+                throw budgetError;
+            }
+            reservedTokens = estimatedTokens;
+
+            // Step 5: Generate summary using AI router (map-reduce for long documents)
+            // with the template version and language pinned when the job was enqueued
+            const template = job.template_name
+                ? resolveTemplate(job.template_name, job.template_version)
+                : resolveTemplate(DEFAULT_TEMPLATE);
+            const language = resolveOutputLanguage(job.language, extractionResult.language);
+            this.reportProgress(job, 'summarizing', { template: template.name, templateVersion: template.version, language: language.code });
+            const output = await aiRouter.summarizeDocument(
+                extractionResult.blocks,
                 tokenLimit, 
                 job.file_id,
-                job.id
+                job.id,
+                {
+                    template,
+                    variables: job.template_variables ? JSON.parse(job.template_variables) : {},
+                    language: language.name,
+                    onProgress: details => this.reportProgress(job, 'summarizing', details),
+                    usage
+                }
             );
 
-            if (!summary || summary.trim().length === 0) {
+            if (!output || output.trim().length === 0) {
                 throw new Error('AI returned empty summary');
             }
-
-            // Step 5: Send result to client
-            const callbackSuccess = await this.sendSummaryToClient(job.file_id, summary, extractionResult);
-
-            if (!callbackSuccess) {
-                throw new Error('Failed to send summary to client');
+            // JSON templates: the validated object is stored next to its markdown rendering
+            const { summary, structured } = toSummaryResult(output, template);
+
+            // Step 6: Store the result and queue its callback delivery together.
+            // Delivery is retried by the callback dispatcher, never by re-running the job.
+            const outboxIds = await completeJobWithDelivery(
+                job.id,
+                this.workerId,
+                summary,
+                this.buildCallbackPayload(job.file_id, summary, structured, extractionResult, template, language),
+                structured
+            );
+            if (!outboxIds) {
+                console.warn(`⚠️ [${job.file_id}] Lease on job ${job.id} was lost before completion; result not recorded`);
+                return;
             }
 
-            // Step 6: Mark job as succeeded
-            await updateJobStatus(job.id, 'succeeded', summary);
-
             const processingTime = Date.now() - startTime;
             this.processedJobs++;
 
@@ -179,78 +285,133 @@ class QueueWorker {
             console.log(`📝 [${job.file_id}] Summary length: ${summary.length} characters`);
 
         } catch (error) {
-            console.error(`❌ [${job.file_id}] Job failed:`, error.message);
+            // If the job can't be handed back, its lease expires and lease recovery requeues it
+            await this.handleJobError(job, error).catch(recoveryError => {
+                console.error(`❌ [${job.file_id}] Failed to record the outcome of job ${job.id}; lease recovery will pick it up:`, recoveryError.message);
+            });
+        } finally {
+            // Charge the tenant for the model calls the job actually made; none answered refunds it
+            if (reservedTokens !== null) {
+                await settleTenantUsage(job.tenant_id, reservedTokens, usage)
+                    .catch(settleError => console.error(`❌ [${job.file_id}] Failed to settle tenant usage:`, settleError.message));
+            }
+            this.activeJobs.delete(job.id);
+        }
+    }
 
-            const shouldRetry = job.attempts + 1 < job.max_attempts;
+    /**
+     * Return a failed job to the queue, schedule its retry or mark it dead
+     */
+    async handleJobError(job, error) {
+        // Tenant is over budget until its daily reset: wait without using up an attempt
+        if (error.code === 'TENANT_BUDGET' && error.resetAt) {
+            await releaseJob(job.id, this.workerId, error.message, error.resetAt);
+            console.log(`⏸️ [${job.file_id}] ${error.message}; job returned to the queue until ${error.resetAt.toISOString()}`);
+            return;
+        }
+
+        // No model could be tried: give the job back without using up an attempt
+        if (error.code === 'NO_CAPACITY') {
+            const capacity = await getRoutingCapacity().catch(() => null);
+            const runAfter = capacity?.nextAvailableAt || new Date(Date.now() + this.capacityRecheckInterval);
+            await releaseJob(job.id, this.workerId, error.message, runAfter);
+            console.log(`⏸️ [${job.file_id}] No model capacity, job returned to the queue until ${new Date(runAfter).toISOString()}`);
+            return;
+        }
+
+        console.error(`❌ [${job.file_id}] Job failed:`, error.message);
 
-            if (shouldRetry) {
-                // Requeue for retry
-                await updateJobStatus(job.id, 'queued', null, error.message);
-                console.log(`🔄 [${job.file_id}] Job requeued for retry (attempt ${job.attempts + 1}/${job.max_attempts})`);
+        const shouldRetry = job.attempts < job.max_attempts;
+
+        if (shouldRetry) {
+            // Requeue for a delayed retry
+            const retryDelay = this.computeRetryDelay(job.attempts);
+            if (await scheduleJobRetry(job.id, error.message, retryDelay, this.workerId)) {
+                console.log(`🔄 [${job.file_id}] Job requeued for retry in ${Math.round(retryDelay / 1000)}s (attempt ${job.attempts}/${job.max_attempts})`);
             } else {
-                // Mark as dead after max attempts
-                await updateJobStatus(job.id, 'dead', null, error.message);
+                console.warn(`⚠️ [${job.file_id}] Lease on job ${job.id} was lost; leaving it to its new owner`);
+            }
+        } else {
+            // Mark as dead after max attempts
+            if (await updateJobStatus(job.id, 'dead', null, error.message, this.workerId)) {
                 console.log(`💀 [${job.file_id}] Job marked as dead after ${job.max_attempts} attempts`);
+                await queueJobEvent(job.id, 'job.dead', {
+                    fileId: job.file_id,
+                    error: error.message,
+                    attempts: job.attempts
+                }).catch(eventError => console.error(`❌ [${job.file_id}] Failed to queue job.dead event:`, eventError.message));
+            } else {
+                console.warn(`⚠️ [${job.file_id}] Lease on job ${job.id} was lost; leaving it to its new owner`);
             }
-
-            this.failedJobs++;
-        } finally {
-            this.activeJobs.delete(job.id);
         }
+
+        this.failedJobs++;
     }
 
     /**
-     * Send summary to client via callback
+     * Exponential backoff with jitter: the delay doubles with every failed
+     * attempt (capped at retryMaxDelay) and a random half of it is added so
+     * retries from the same outage spread out instead of arriving together.
      */
-    async sendSummaryToClient(fileId, summary, extractionResult) {
-        try {
-            console.log(`📤 [${fileId}] Sending summary to client...`);
+    computeRetryDelay(attemptNumber) {
+        const exponent = Math.max(0, attemptNumber - 1);
+        const ceiling = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, exponent));
+        return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+    }
 
-            const payload = {
-                fileId,
-                summary,
-                metadata: {
-                    contentBlocks: extractionResult.contentBlocks,
-                    totalWords: extractionResult.totalWords,
-                    mainContentWords: extractionResult.mainContentWords,
-                    processingTimeMs: extractionResult.processingTimeMs,
-                    extractionMethod: extractionResult.metadata?.extractionMethod,
-                    processedAt: new Date().toISOString()
-                }
-            };
-
-            // Generate authentication for callback request
-            const crypto = require('crypto');
-            const authTimestamp = Date.now().toString();
-            const INTERNAL_SECRET = process.env.INTERNAL_SECRET;
-            if (!INTERNAL_SECRET || INTERNAL_SECRET === 'development-internal-secret-for-mvp-only') {
-                console.error('❌ INTERNAL_SECRET not configured or using default value - security risk!');
-                throw new Error('Server configuration error: INTERNAL_SECRET required');
-            }
+    /**
+     * Queue a job.progress event for subscribers (best effort, never fails the job)
+     */
+    reportProgress(job, stage, details = {}) {
+        queueJobEvent(job.id, 'job.progress', {
+            fileId: job.file_id,
+            stage,
+            attempt: job.attempts,
+            ...details,
+            at: new Date().toISOString()
+        }).catch(error => console.warn(`⚠️ [${job.file_id}] Failed to queue progress event:`, error.message));
+    }
 
-            const signature = crypto.createHmac('sha256', INTERNAL_SECRET)
-                .update(`${authTimestamp}.${JSON.stringify(payload)}`)
-                .digest('hex');
+    /**
+     * Build the callback payload delivered to the client
+     */
+    buildCallbackPayload(fileId, summary, structured, extractionResult, template, language) {
+        return {
+            fileId,
+            summary,
+            ...(structured ? { structured } : {}),
+            metadata: {
+                contentBlocks: extractionResult.contentBlocks,
+                totalWords: extractionResult.totalWords,
+                mainContentWords: extractionResult.mainContentWords,
+                estimatedTokens: extractionResult.estimatedTokens,
+                inputFormat: extractionResult.inputFormat,
+                contentFilter: extractionResult.contentFilter,
+                normalization: extractionResult.normalization,
+                processingTimeMs: extractionResult.processingTimeMs,
+                extractionMethod: extractionResult.metadata?.extractionMethod,
+                template: { name: template.name, version: template.version },
+                outputFormat: getOutputFormat(template),
+                language,
+                sourceLanguage: extractionResult.language,
+                processedAt: new Date().toISOString()
+            }
+        };
+    }
 
-            const response = await axios.post(this.clientCallbackUrl, payload, {
-                timeout: 10000,
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-internal-auth': `${authTimestamp}.${signature}`
+    /**
+     * Heartbeat: renew the lease on every job this worker is processing
+     */
+    async renewLeases() {
+        for (const jobId of this.activeJobs) {
+            try {
+                const renewed = await renewJobLease(jobId, this.workerId);
+                if (!renewed) {
+                    console.warn(`⚠️ [${this.workerId}] Lost lease on job ${jobId}`);
                 }
-            });
-
-            if (response.status === 200) {
-                console.log(`✅ [${fileId}] Summary sent to client successfully`);
-                return true;
-            } else {
-                console.error(`❌ [${fileId}] Client callback failed with status: ${response.status}`);
-                return false;
+            } catch (error) {
+                console.error(`❌ [${this.workerId}] Heartbeat failed for job ${jobId}:`, error.message);
             }
-
-        } catch (error) {
-            console.error(`❌ [${fileId}] Failed to send summary to client:`, error.message);
-            return false;
         }
     }
 
@@ -259,13 +420,11 @@ class QueueWorker {
      */
     async performCleanup() {
         try {
-            console.log(`🧹 [${this.workerId}] Performing cleanup...`);
-
-            // Clean up stale jobs
-            const staleJobs = await cleanupStaleJobs(10); // 10 minute timeout
+            // Requeue jobs whose worker stopped heartbeating
+            const recovered = await recoverExpiredLeases(this.leaseTimeout);
 
-            if (staleJobs > 0) {
-                console.log(`🧹 [${this.workerId}] Cleaned up ${staleJobs} stale jobs`);
+            if (recovered.requeued + recovered.dead > 0) {
+                console.log(`🧹 [${this.workerId}] Recovered ${recovered.requeued} expired jobs, ${recovered.dead} marked dead`);
             }
 
         } catch (error) {
@@ -287,6 +446,7 @@ class QueueWorker {
             failedJobs: this.failedJobs,
             uptime: uptime,
             concurrency: this.concurrency,
+            pausedUntil: this.pausedUntil?.toISOString() || null,
             startTime: this.startTime?.toISOString()
         };
     }
@@ -0,0 +1,112 @@
+// Request authentication - verifies inbound API requests
+// Accepts the same HMAC x-internal-auth scheme used for callbacks, or an issued API key
+
+const { verifySignature } = require('./callback-signing');
+const { findApiKey } = require('./queue-database');
+const { getDefaultCallbackUrl } = require('./callback-targets');
+
+// Endpoints reachable without credentials
+const PUBLIC_PATHS = ['/api/health'];
+
+function sendAuthError(res, status, error) {
+    if (status === 401) {
+        res.set('WWW-Authenticate', 'Bearer realm="agent"');
+    }
+    return res.status(status).json({
+        success: false,
+        error,
+        message: status === 401 ? 'Authentication required' : 'Access denied'
+    });
+}
+
+/**
+ * API key from x-api-key or an Authorization: Bearer header
+ */
+function getApiKeyFromRequest(req) {
+    const headerKey = req.get('x-api-key');
+    if (headerKey) {
+        return headerKey.trim();
+    }
+
+    const authorization = req.get('authorization') || '';
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Express middleware: sets req.auth = { type: 'internal' | 'api_key', keyId, name, tenantId }
+ * or answers 401 (missing/invalid credentials) or 403 (revoked key)
+ */
+async function authenticateRequest(req, res, next) {
+    if (req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.path)) {
+        return next();
+    }
+
+    try {
+        const signature = req.get('x-internal-auth');
+        if (signature) {
+            // express.json stores the raw bytes in req.rawBody; bodiless requests sign ''
+            const verification = verifySignature(signature, req.rawBody ? req.rawBody.toString() : '');
+            if (!verification.valid) {
+                console.warn(`🚫 Rejected signed request to ${req.path}: ${verification.reason}`);
+                return sendAuthError(res, 401, verification.reason);
+            }
+            req.auth = { type: 'internal', keyId: verification.keyId, name: 'internal', tenantId: null };
+            return next();
+        }
+
+        const apiKey = getApiKeyFromRequest(req);
+        if (!apiKey) {
+            return sendAuthError(res, 401, 'Missing credentials: send x-internal-auth or an API key');
+        }
+
+        const keyRecord = await findApiKey(apiKey);
+        if (!keyRecord) {
+            console.warn(`🚫 Rejected unknown API key for ${req.path}`);
+            return sendAuthError(res, 401, 'Invalid API key');
+        }
+        if (!keyRecord.enabled || keyRecord.revoked_at) {
+            console.warn(`🚫 Rejected revoked API key ${keyRecord.key_prefix}... for ${req.path}`);
+            return sendAuthError(res, 403, 'API key has been revoked');
+        }
+
+        req.auth = { type: 'api_key', keyId: keyRecord.id, name: keyRecord.name, tenantId: keyRecord.tenant_id || null };
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Express middleware for endpoints only the internal HMAC signer may call
+ */
+function requireInternalAuth(req, res, next) {
+    if (req.auth?.type !== 'internal') {
+        return sendAuthError(res, 403, 'This endpoint requires internal (x-internal-auth) credentials');
+    }
+    next();
+}
+
+/**
+ * CORS options: only origins in CORS_ALLOWED_ORIGINS (comma-separated),
+ * defaulting to the origin of the default callback URL (the browser app)
+ */
+function getCorsOptions() {
+    const configured = (process.env.CORS_ALLOWED_ORIGINS || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(Boolean);
+
+    return {
+        origin: configured.length > 0 ? configured : [new URL(getDefaultCallbackUrl()).origin],
+        methods: ['GET', 'POST', 'DELETE'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-internal-auth', 'x-request-id']
+    };
+}
+
+module.exports = {
+    PUBLIC_PATHS,
+    authenticateRequest,
+    requireInternalAuth,
+    getCorsOptions
+};
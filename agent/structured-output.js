@@ -0,0 +1,214 @@
+// Structured output - JSON summaries for templates with outputFormat 'json'
+// The model is asked for JSON through Gemini's response schema; every response is
+// validated here before it is accepted, since schema support varies between models.
+
+const { SchemaType } = require('@google/generative-ai');
+
+const ENTITY_TYPES = ['person', 'organization', 'location', 'product', 'event', 'other'];
+const MAX_KEY_POINTS = 10;
+const MAX_ENTITIES = 25;
+const MAX_TOPICS = 8;
+const MAX_ABSTRACT_LENGTH = 400;
+const STRUCTURED_OUTPUT_ATTEMPTS = 2; // Tries per model before falling back to the next one
+
+// Response schema sent to the model (OpenAPI subset understood by Gemini)
+const SUMMARY_SCHEMA = {
+    type: SchemaType.OBJECT,
+    properties: {
+        title: { type: SchemaType.STRING, description: 'Short, specific title' },
+        abstract: { type: SchemaType.STRING, description: 'One sentence with the main point' },
+        keyPoints: {
+            type: SchemaType.ARRAY,
+            description: `Most important points, at most ${MAX_KEY_POINTS}`,
+            items: { type: SchemaType.STRING }
+        },
+        entities: {
+            type: SchemaType.ARRAY,
+            description: 'Named people, organizations, places, products and events',
+            items: {
+                type: SchemaType.OBJECT,
+                properties: {
+                    name: { type: SchemaType.STRING },
+                    type: { type: SchemaType.STRING, format: 'enum', enum: ENTITY_TYPES }
+                },
+                required: ['name', 'type']
+            }
+        },
+        topics: {
+            type: SchemaType.ARRAY,
+            description: `Short topic labels for indexing, at most ${MAX_TOPICS}`,
+            items: { type: SchemaType.STRING }
+        }
+    },
+    required: ['title', 'abstract', 'keyPoints', 'entities', 'topics']
+};
+
+function createOutputError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_OUTPUT';
+    return error;
+}
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Generation config additions that make the model answer with SUMMARY_SCHEMA JSON
+ */
+function getStructuredGenerationConfig() {
+    return {
+        responseMimeType: 'application/json',
+        responseSchema: SUMMARY_SCHEMA
+    };
+}
+
+/**
+ * SUMMARY_SCHEMA as plain JSON Schema, for backends other than Gemini
+ * (OpenAI-compatible response_format, Ollama format)
+ */
+function getStructuredJsonSchema(schema = SUMMARY_SCHEMA) {
+    const { format, properties, items, ...rest } = schema;
+    return {
+        ...rest,
+        ...(format && format !== 'enum' ? { format } : {}),
+        ...(properties ? {
+            properties: Object.fromEntries(Object.entries(properties).map(([name, property]) => [name, getStructuredJsonSchema(property)]))
+        } : {}),
+        ...(items ? { items: getStructuredJsonSchema(items) } : {})
+    };
+}
+
+/**
+ * Check a parsed summary against SUMMARY_SCHEMA and its limits.
+ * Returns a list of problems (empty when valid).
+ */
+function validateStructuredSummary(value) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        return ['summary must be a JSON object'];
+    }
+
+    const problems = [];
+
+    if (!isNonEmptyString(value.title)) {
+        problems.push('title must be a non-empty string');
+    }
+    if (!isNonEmptyString(value.abstract)) {
+        problems.push('abstract must be a non-empty string');
+    } else if (value.abstract.trim().includes('\n') || value.abstract.length > MAX_ABSTRACT_LENGTH) {
+        problems.push(`abstract must be one line of at most ${MAX_ABSTRACT_LENGTH} characters`);
+    }
+
+    if (!Array.isArray(value.keyPoints) || value.keyPoints.length === 0 || value.keyPoints.length > MAX_KEY_POINTS) {
+        problems.push(`keyPoints must be an array of 1-${MAX_KEY_POINTS} strings`);
+    } else if (!value.keyPoints.every(isNonEmptyString)) {
+        problems.push('keyPoints must only contain non-empty strings');
+    }
+
+    if (!Array.isArray(value.entities) || value.entities.length > MAX_ENTITIES) {
+        problems.push(`entities must be an array of at most ${MAX_ENTITIES} items`);
+    } else if (!value.entities.every(entity => isNonEmptyString(entity?.name) && ENTITY_TYPES.includes(entity?.type))) {
+        problems.push(`every entity needs a name and a type (${ENTITY_TYPES.join(', ')})`);
+    }
+
+    if (!Array.isArray(value.topics) || value.topics.length === 0 || value.topics.length > MAX_TOPICS) {
+        problems.push(`topics must be an array of 1-${MAX_TOPICS} strings`);
+    } else if (!value.topics.every(isNonEmptyString)) {
+        problems.push('topics must only contain non-empty strings');
+    }
+
+    return problems;
+}
+
+/**
+ * Parse and validate model output. Tolerates a ```json fence around the object.
+ * Returns the summary with trimmed strings and no extra fields;
+ * throws INVALID_OUTPUT when the output does not match the schema.
+ */
+function parseStructuredSummary(text) {
+    const json = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    let value;
+    try {
+        value = JSON.parse(json);
+    } catch (error) {
+        throw createOutputError(`Model output is not valid JSON: ${error.message}`);
+    }
+
+    const problems = validateStructuredSummary(value);
+    if (problems.length > 0) {
+        throw createOutputError(`Model output does not match the summary schema: ${problems.join('; ')}`);
+    }
+
+    return {
+        title: value.title.trim(),
+        abstract: value.abstract.trim(),
+        keyPoints: value.keyPoints.map(point => point.trim()),
+        entities: value.entities.map(entity => ({ name: entity.name.trim(), type: entity.type })),
+        topics: value.topics.map(topic => topic.trim())
+    };
+}
+
+/**
+ * Markdown rendering of a structured summary, so markdown consumers keep working
+ */
+function renderStructuredSummary(structured) {
+    const sections = [
+        `# ${structured.title}`,
+        structured.abstract,
+        `## Key points\n${structured.keyPoints.map(point => `- ${point}`).join('\n')}`
+    ];
+
+    if (structured.entities.length > 0) {
+        sections.push(`## Entities\n${structured.entities.map(entity => `- **${entity.name}** (${entity.type})`).join('\n')}`);
+    }
+    sections.push(`## Topics\n${structured.topics.join(', ')}`);
+
+    return sections.join('\n\n');
+}
+
+/**
+ * Run `generate()` until its output validates, up to STRUCTURED_OUTPUT_ATTEMPTS times.
+ * Returns the validated summary as compact JSON text; throws the last
+ * INVALID_OUTPUT error so the caller can fall back to another model.
+ */
+async function generateStructuredSummary(generate, label) {
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= STRUCTURED_OUTPUT_ATTEMPTS; attempt++) {
+        const text = await generate();
+        try {
+            return JSON.stringify(parseStructuredSummary(text));
+        } catch (error) {
+            lastError = error;
+            console.log(`🧾 [${label}] Structured output rejected (attempt ${attempt}/${STRUCTURED_OUTPUT_ATTEMPTS}): ${error.message}`);
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Final summary and structured result for a template's output:
+ * { summary: markdown, structured: object | null }
+ */
+function toSummaryResult(output, template) {
+    if (template?.outputFormat !== 'json') {
+        return { summary: output, structured: null };
+    }
+
+    const structured = parseStructuredSummary(output);
+    return { summary: renderStructuredSummary(structured), structured };
+}
+
+module.exports = {
+    ENTITY_TYPES,
+    SUMMARY_SCHEMA,
+    getStructuredGenerationConfig,
+    getStructuredJsonSchema,
+    validateStructuredSummary,
+    parseStructuredSummary,
+    renderStructuredSummary,
+    generateStructuredSummary,
+    toSummaryResult
+};
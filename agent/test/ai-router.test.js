@@ -0,0 +1,123 @@
+// AI router against the fake provider: failover between models and provider backoff
+// Runs on a temporary queue database (QUEUE_DB_PATH) with AI_PROVIDER_MODE=fake
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ai-router-test-'));
+process.env.QUEUE_DB_PATH = path.join(tempDir, 'queue.db');
+process.env.AI_PROVIDER_MODE = 'fake';
+
+// Progress logs are only noise here, and a lot of child output can break node --test's reporting on Node 20
+console.log = () => {};
+
+const { initializeQueueDatabase, closeQueueDatabase, getAvailableModels, getRoutingCapacity, upsertProvider, upsertModel } = require('../queue-database');
+const { configManager } = require('../config-manager');
+const { AIRouter, createUsageTracker } = require('../ai-router');
+const { DEFAULT_JSON_TEMPLATE, resolveTemplate } = require('../prompt-templates');
+
+const CONTENT = 'The quarterly report shows revenue growth across every region, driven by new customers and lower costs.';
+
+before(async () => {
+    await initializeQueueDatabase();
+    await configManager.setupFromEnvironment();
+});
+
+after(async () => {
+    await closeQueueDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    delete process.env.FAKE_PROVIDER_SCENARIOS;
+});
+
+test('fails over to the next model when the top-priority model fails', async () => {
+    const [first, second] = await getAvailableModels();
+    process.env.FAKE_PROVIDER_SCENARIOS = `${first.model_name}=empty`;
+    const usage = createUsageTracker();
+
+    const summary = await new AIRouter().summarizeContent(CONTENT, 400, 'test-failover', null, { usage });
+
+    assert.match(summary, new RegExp(`Generated offline by ${second.model_name}`));
+    assert.strictEqual(usage.calls, 2);
+    // An empty answer says nothing about the provider: no backoff
+    assert.strictEqual((await getAvailableModels()).length > 0, true);
+});
+
+// A document well within the top models' input limit, too large for the small one
+const DOCUMENT = Array.from({ length: 60 }, (_, i) => `Section ${i}: ${CONTENT} Figures for region ${i} were reported separately.`);
+
+test('sizes map-reduce chunks for the top-priority model, not a smaller fallback', async () => {
+    await upsertProvider('test-small', 'Test Small', 'offline', 9, true, 'fake');
+    await upsertModel('test-small-model', 'test-small', 'small-model', 100, 1000, true, 3000, 1);
+    const usage = createUsageTracker();
+
+    try {
+        const summary = await new AIRouter().summarizeDocument(DOCUMENT, 500, 'test-chunks-top', null, { usage });
+        assert.doesNotMatch(summary, /small-model/);
+        assert.strictEqual(usage.calls, 1);
+    } finally {
+        await upsertProvider('test-small', 'Test Small', 'offline', 9, false, 'fake');
+    }
+});
+
+test('chunks again when failover lands on a model with a smaller input limit', async () => {
+    const largeModels = await getAvailableModels();
+    await upsertProvider('test-small', 'Test Small', 'offline', 9, true, 'fake');
+    // Only the small model answers, so every part must fit its input limit
+    process.env.FAKE_PROVIDER_SCENARIOS = largeModels.map(model => `${model.model_name}=empty`).join(',');
+    const usage = createUsageTracker();
+
+    try {
+        const summary = await new AIRouter().summarizeDocument(DOCUMENT, 500, 'test-chunks-small', null, { usage });
+        assert.match(summary, /Generated offline by small-model/);
+        assert.ok(usage.calls > largeModels.length + 2, `${usage.calls} model calls`);
+    } finally {
+        await upsertProvider('test-small', 'Test Small', 'offline', 9, false, 'fake');
+    }
+});
+
+test('counts structured output retries against the model\'s request limits', async () => {
+    const [model] = await getAvailableModels();
+    // The day window, so a minute rolling over mid-test can't reset the count
+    const dayRemaining = async () => (await getRoutingCapacity()).models.find(({ id }) => id === model.id).dayRemaining;
+    const remainingBefore = await dayRemaining();
+
+    // The first answer is not valid JSON, so the same model is asked again
+    const router = new AIRouter();
+    const client = router.getProviderClient(model);
+    let calls = 0;
+    router.getProviderClient = () => ({
+        generate: async request => (++calls === 1 ? { text: 'not json', usage: { inputTokens: 40, outputTokens: 3 } } : client.generate(request))
+    });
+
+    const output = await router.summarizeContent(CONTENT, 400, 'test-retries', null, { template: resolveTemplate(DEFAULT_JSON_TEMPLATE) });
+
+    assert.match(JSON.parse(output).title, /Fake summary/);
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(remainingBefore - await dayRemaining(), 2);
+});
+
+test('backs the provider off after a 429 and reports no capacity until it ends', async () => {
+    const [first, second] = await getAvailableModels();
+    process.env.FAKE_PROVIDER_SCENARIOS = `${first.model_name}=429`;
+    const router = new AIRouter();
+
+    // The request in flight still gets its answer from the next model
+    const summary = await router.summarizeContent(CONTENT, 400, 'test-backoff', null);
+    assert.match(summary, new RegExp(`Generated offline by ${second.model_name}`));
+
+    assert.deepStrictEqual(await getAvailableModels(), []);
+    const capacity = await getRoutingCapacity();
+    const backoffMs = new Date(capacity.nextAvailableAt).getTime() - Date.now();
+    assert.ok(backoffMs > 55 * 60 * 1000 && backoffMs <= 60 * 60 * 1000, `backoff of ${backoffMs}ms`);
+
+    await assert.rejects(
+        router.summarizeContent(CONTENT, 400, 'test-backoff-next', null),
+        error => error.code === 'NO_CAPACITY'
+    );
+});
@@ -0,0 +1,116 @@
+// Queued job to callback: a worker summarizes with the fake provider and the
+// dispatcher delivers the signed result from the outbox, retrying failed deliveries.
+// Runs on a temporary queue database (QUEUE_DB_PATH) with AI_PROVIDER_MODE=fake
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'callback-delivery-test-'));
+process.env.QUEUE_DB_PATH = path.join(tempDir, 'queue.db');
+process.env.AI_PROVIDER_MODE = 'fake';
+process.env.INTERNAL_SECRETS = 'test:callback-delivery-secret';
+
+// Progress logs are only noise here, and a lot of child output can break node --test's reporting on Node 20
+console.log = () => {};
+
+const { initializeQueueDatabase, closeQueueDatabase, enqueueJob, claimJobs, claimDueDeliveries, getJob, getJobDeliveries } = require('../queue-database');
+const { configManager } = require('../config-manager');
+const { QueueWorker } = require('../queue-worker');
+const { CallbackDispatcher } = require('../callback-dispatcher');
+const { verifySignature } = require('../callback-signing');
+
+const CONTENT = [
+    'The city council approved a new budget for public transport on Monday.',
+    'Bus routes will run every ten minutes during rush hour, and two new tram lines open next spring.',
+    'Fares stay the same for students and pensioners, while monthly passes get cheaper for everyone else.'
+].join('\n\n');
+
+// Callback receiver answering with the next queued status code (200 once the queue is empty)
+const received = [];
+const statusCodes = [];
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        received.push({ header: req.headers['x-internal-auth'], body });
+        res.writeHead(statusCodes.shift() || 200);
+        res.end();
+    });
+});
+let callbackUrl;
+
+const worker = new QueueWorker('test-worker');
+const dispatcher = new CallbackDispatcher('test-dispatcher', { retryBaseDelay: 1, retryMaxDelay: 1 });
+
+// Claim and deliver everything due in the outbox once
+async function dispatchDue() {
+    const deliveries = await claimDueDeliveries(dispatcher.dispatcherId);
+    await Promise.all(deliveries.map(delivery => dispatcher.deliver(delivery)));
+    return deliveries.length;
+}
+
+async function runJob(fileId) {
+    const { jobId } = await enqueueJob(fileId, CONTENT, 1, 3, { callbackUrl, callbackEvents: ['job.succeeded'] });
+    const [job] = await claimJobs(worker.workerId, 1);
+    assert.strictEqual(job.id, jobId);
+    await worker.processJob(job);
+    return jobId;
+}
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    callbackUrl = `http://127.0.0.1:${server.address().port}/callback`;
+    await initializeQueueDatabase();
+    await configManager.setupFromEnvironment();
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await closeQueueDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('delivers a completed job to its callback URL, signed', async () => {
+    const jobId = await runJob('test-delivery');
+    assert.strictEqual((await getJob(jobId)).state, 'succeeded');
+
+    assert.strictEqual(await dispatchDue(), 1);
+    assert.strictEqual(received.length, 1);
+
+    const { header, body } = received.pop();
+    assert.deepStrictEqual(verifySignature(header, body), { valid: true, keyId: 'test' });
+    const payload = JSON.parse(body);
+    assert.strictEqual(payload.fileId, 'test-delivery');
+    assert.match(payload.summary, /Generated offline by/);
+
+    const [delivery] = await getJobDeliveries(jobId);
+    assert.strictEqual(delivery.state, 'delivered');
+    assert.strictEqual(delivery.attempts, 1);
+});
+
+test('retries a failed delivery without re-running the job', async () => {
+    const jobId = await runJob('test-redelivery');
+    const job = await getJob(jobId);
+    statusCodes.push(500);
+
+    assert.strictEqual(await dispatchDue(), 1);
+    let [delivery] = await getJobDeliveries(jobId);
+    assert.notStrictEqual(delivery.state, 'delivered');
+    assert.match(delivery.last_error, /status: 500/);
+
+    await new Promise(resolve => setTimeout(resolve, 1100)); // next_attempt_at has second resolution
+    assert.strictEqual(await dispatchDue(), 1);
+    [delivery] = await getJobDeliveries(jobId);
+    assert.strictEqual(delivery.state, 'delivered');
+    assert.strictEqual(delivery.attempts, 2);
+    assert.deepStrictEqual(delivery.log.map(entry => entry.status_code), [500, 200]);
+
+    // Both attempts carried the one stored result
+    const [first, second] = received.splice(0).map(request => JSON.parse(request.body));
+    assert.deepStrictEqual(first, second);
+    assert.strictEqual((await getJob(jobId)).attempts, job.attempts);
+});
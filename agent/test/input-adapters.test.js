@@ -0,0 +1,34 @@
+// HTML input adapter on untrusted markup: unclosed comments, tags and skipped elements
+// must not make parsing time grow faster than the document
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { htmlToBlocks } = require('../input-adapters');
+
+const PARAGRAPH = '<p>Rail traffic grew for the third year in a row, led by regional lines.</p>';
+
+test('parses a large document full of unclosed tags in linear time', () => {
+    const cases = {
+        script: PARAGRAPH + '<script>'.repeat(100000),
+        comment: PARAGRAPH + '<!--'.repeat(100000),
+        tag: PARAGRAPH + '<a '.repeat(100000),
+        article: '<article>'.repeat(100000) + PARAGRAPH
+    };
+
+    for (const [name, html] of Object.entries(cases)) {
+        const started = Date.now();
+        const blocks = htmlToBlocks(html);
+        const elapsed = Date.now() - started;
+
+        // Quadratic scans took tens of seconds on these inputs
+        assert.ok(elapsed < 3000, `${name}: ${elapsed}ms`);
+        assert.ok(blocks.some(block => block.content?.startsWith('Rail traffic grew')), name);
+    }
+});
+
+test('keeps text after an unclosed skipped element and drops closed ones', () => {
+    const blocks = htmlToBlocks('<p>Before</p><script>track()</script><p>Middle</p><!-- note --><style>p {}');
+
+    assert.deepStrictEqual(blocks.map(block => block.content), ['Before', 'Middle', 'p {}']);
+});
@@ -0,0 +1,81 @@
+// Record/replay: a response recorded from a (local, stand-in) OpenAI-compatible backend
+// is played back with no backend at all, and fixtures keep no prompt text by default
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-fixtures-test-'));
+process.env.AI_FIXTURES_DIR = tempDir;
+
+// Progress logs are only noise here, and a lot of child output can break node --test's reporting on Node 20
+console.log = () => {};
+
+const { createProviderClient } = require('../ai-providers');
+
+const PROMPT = 'Summarize: Customer ACME-4411 reported a billing problem with invoice 2024-118.';
+
+let requests = 0;
+const server = http.createServer((req, res) => {
+    requests++;
+    req.resume();
+    req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+            choices: [{ message: { content: 'A customer reported a billing problem.' } }],
+            usage: { prompt_tokens: 21, completion_tokens: 7 }
+        }));
+    });
+});
+let baseUrl;
+
+function createClient(mode) {
+    process.env.AI_PROVIDER_MODE = mode;
+    return createProviderClient({ type: 'openai-compatible', baseUrl });
+}
+
+before(async () => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    delete process.env.AI_FIXTURES_PROMPT_PREVIEW;
+});
+
+test('replays a recorded response without calling the backend', async () => {
+    const request = { model: 'test-model', prompt: PROMPT, maxTokens: 100 };
+    const recorded = await createClient('record').generate(request);
+    assert.strictEqual(requests, 1);
+
+    const replayed = await createClient('replay').generate(request);
+    assert.deepStrictEqual(replayed, recorded);
+    assert.deepStrictEqual(replayed.usage, { inputTokens: 21, outputTokens: 7 });
+    assert.strictEqual(requests, 1);
+
+    await assert.rejects(
+        createClient('replay').generate({ ...request, prompt: `${PROMPT} (changed)` }),
+        error => error.code === 'FIXTURE_NOT_FOUND'
+    );
+});
+
+test('stores no prompt text unless a preview is asked for', async () => {
+    const readFixtures = () => fs.readdirSync(tempDir).map(file => fs.readFileSync(path.join(tempDir, file), 'utf8'));
+
+    await createClient('record').generate({ model: 'private-model', prompt: PROMPT, maxTokens: 100 });
+    for (const fixture of readFixtures()) {
+        assert.ok(!fixture.includes('ACME-4411'), 'fixture contains prompt text');
+    }
+
+    process.env.AI_FIXTURES_PROMPT_PREVIEW = 'true';
+    await createClient('record').generate({ model: 'preview-model', prompt: PROMPT, maxTokens: 100 });
+    assert.ok(readFixtures().some(fixture => fixture.includes('ACME-4411')));
+});
@@ -0,0 +1,64 @@
+// Queue database writes on the shared connection: a write issued while another caller's
+// transaction is open must not become part of it (and be undone by its rollback)
+// Runs on a temporary queue database (QUEUE_DB_PATH)
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-database-test-'));
+process.env.QUEUE_DB_PATH = path.join(tempDir, 'queue.db');
+
+// Progress logs are only noise here, and a lot of child output can break node --test's reporting on Node 20
+console.log = () => {};
+
+const { initializeQueueDatabase, closeQueueDatabase, enqueueJob, claimJobs, renewJobLease, getJob, upsertTenant } = require('../queue-database');
+
+before(async () => {
+    await initializeQueueDatabase();
+});
+
+after(async () => {
+    await closeQueueDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Start a transaction that rolls back (reserved shares over 100%); resolves once it has opened,
+// with a promise for its rollback
+async function startFailingTransaction() {
+    const rollback = assert.rejects(upsertTenant('over-budget', 'Over budget', null, null, 2), error => error.code === 'INVALID_TENANT');
+    await Promise.resolve();
+    await Promise.resolve();
+    return { rollback };
+}
+
+test('a job claimed while another transaction is open keeps its lease after that rollback', async () => {
+    const { jobId } = await enqueueJob('test-claim-rollback', 'Content', 1, 3);
+
+    const { rollback } = await startFailingTransaction();
+    const claim = claimJobs('test-worker', 1);
+    await rollback;
+
+    const [claimed] = await claim;
+    assert.strictEqual(claimed.id, jobId);
+    const job = await getJob(jobId);
+    assert.strictEqual(job.state, 'processing');
+    assert.strictEqual(job.worker_id, 'test-worker');
+    assert.strictEqual(job.attempts, 1);
+});
+
+test('a lease renewed while another transaction is open stays renewed', async () => {
+    const { jobId } = await enqueueJob('test-renew-rollback', 'Content', 1, 3);
+    await claimJobs('test-worker', 1);
+    const { locked_at: claimedAt } = await getJob(jobId);
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    const { rollback } = await startFailingTransaction();
+    const renewal = renewJobLease(jobId, 'test-worker');
+    await rollback;
+
+    assert.strictEqual(await renewal, true);
+    assert.notStrictEqual((await getJob(jobId)).locked_at, claimedAt);
+});
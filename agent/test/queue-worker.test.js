@@ -0,0 +1,52 @@
+// Queue worker failure handling: a job whose failure can't be recorded must not reject
+// processJob, which runs unawaited (an unhandled rejection ends the process)
+// Runs on a temporary queue database (QUEUE_DB_PATH) with AI_PROVIDER_MODE=fake
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'queue-worker-test-'));
+process.env.QUEUE_DB_PATH = path.join(tempDir, 'queue.db');
+process.env.AI_PROVIDER_MODE = 'fake';
+
+// Progress logs (and the failures this test causes) are only noise here, and a lot of child
+// output can break node --test's reporting on Node 20
+console.log = () => {};
+console.error = () => {};
+
+const { initializeQueueDatabase, closeQueueDatabase, enqueueJob, claimJobs, getJob, db } = require('../queue-database');
+const { QueueWorker } = require('../queue-worker');
+
+function exec(sql) {
+    return new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+}
+
+before(async () => {
+    await initializeQueueDatabase();
+});
+
+after(async () => {
+    await closeQueueDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('a failed job whose retry can\'t be scheduled resolves and frees its slot', async () => {
+    const worker = new QueueWorker('test-worker');
+    await enqueueJob('test-unrecordable', {}, 1, 3);
+    const [job] = await claimJobs(worker.workerId, 1);
+
+    // Extraction fails (empty payload), then the database refuses the retry
+    await exec(`CREATE TEMP TRIGGER refuse_job_updates BEFORE UPDATE ON jobs BEGIN SELECT RAISE(ABORT, 'database unavailable'); END`);
+    try {
+        await worker.processJob(job);
+    } finally {
+        await exec('DROP TRIGGER refuse_job_updates');
+    }
+
+    assert.strictEqual(worker.activeJobs.size, 0);
+    // Still leased: lease recovery hands it back once the lease expires
+    assert.strictEqual((await getJob(job.id)).state, 'processing');
+});
@@ -0,0 +1,104 @@
+// Job endpoints keep tenants apart: an API key only reaches its own tenant's jobs, a key
+// without a tenant only jobs without a tenant, and only internal callers reach every job.
+// Runs the HTTP app on a temporary queue database (QUEUE_DB_PATH) with AI_PROVIDER_MODE=fake
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tenant-isolation-test-'));
+process.env.QUEUE_DB_PATH = path.join(tempDir, 'queue.db');
+process.env.AI_PROVIDER_MODE = 'fake';
+process.env.INTERNAL_SECRETS = 'test:tenant-isolation-secret';
+
+// Progress logs are only noise here, and a lot of child output can break node --test's reporting on Node 20
+console.log = () => {};
+
+const { initializeQueueDatabase, closeQueueDatabase, enqueueJob, updateJobStatus, upsertTenant, createApiKey, getJob } = require('../queue-database');
+const { signPayload } = require('../callback-signing');
+const { app } = require('../index');
+
+let server;
+let baseUrl;
+const keys = {};
+const jobs = {};
+
+function request(method, route, headers = {}, payload = {}) {
+    return fetch(`${baseUrl}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: method === 'GET' ? undefined : JSON.stringify(payload)
+    });
+}
+
+function asKey(name) {
+    return { 'x-api-key': keys[name] };
+}
+
+function asInternal(payload) {
+    return { 'x-internal-auth': signPayload(payload).header };
+}
+
+before(async () => {
+    await initializeQueueDatabase();
+    await upsertTenant('alpha', 'Alpha');
+    await upsertTenant('beta', 'Beta');
+    keys.alpha = (await createApiKey('alpha key', 'alpha')).apiKey;
+    keys.beta = (await createApiKey('beta key', 'beta')).apiKey;
+    keys.shared = (await createApiKey('key without tenant')).apiKey;
+
+    // One dead job per tenant, and one without a tenant
+    for (const tenantId of ['alpha', 'beta', null]) {
+        const { jobId } = await enqueueJob(`isolation-${tenantId || 'none'}`, 'Some content to summarize.', 1, 3, { tenantId });
+        await updateJobStatus(jobId, 'dead', null, 'provider failed');
+        jobs[tenantId || 'none'] = jobId;
+    }
+
+    await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await closeQueueDatabase();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('a tenant key cannot see, cancel or retry another tenant\'s job', async () => {
+    assert.strictEqual((await request('GET', `/api/jobs/${jobs.alpha}`, asKey('alpha'))).status, 200);
+
+    for (const jobId of [jobs.beta, jobs.none]) {
+        assert.strictEqual((await request('GET', `/api/jobs/${jobId}`, asKey('alpha'))).status, 404);
+        assert.strictEqual((await request('GET', `/api/jobs/${jobId}/deliveries`, asKey('alpha'))).status, 404);
+        assert.strictEqual((await request('POST', `/api/jobs/${jobId}/retry`, asKey('alpha'))).status, 404);
+        assert.strictEqual((await request('POST', `/api/jobs/${jobId}/cancel`, asKey('alpha'))).status, 404);
+    }
+});
+
+test('a key without a tenant only sees jobs without a tenant', async () => {
+    assert.strictEqual((await request('GET', `/api/jobs/${jobs.none}`, asKey('shared'))).status, 200);
+
+    for (const jobId of [jobs.alpha, jobs.beta]) {
+        assert.strictEqual((await request('GET', `/api/jobs/${jobId}`, asKey('shared'))).status, 404);
+        assert.strictEqual((await request('POST', `/api/jobs/${jobId}/retry`, asKey('shared'))).status, 404);
+        assert.strictEqual((await request('POST', `/api/jobs/${jobId}/redeliver`, asKey('shared'))).status, 404);
+    }
+});
+
+test('dead-letter replay stays within the caller\'s tenant', async () => {
+    const shared = await (await request('POST', '/api/jobs/replay-dead', asKey('shared'))).json();
+    assert.deepStrictEqual(shared.jobIds, [jobs.none]);
+    assert.strictEqual((await getJob(jobs.alpha)).state, 'dead');
+    assert.strictEqual((await getJob(jobs.beta)).state, 'dead');
+
+    const alpha = await (await request('POST', '/api/jobs/replay-dead', asKey('alpha'))).json();
+    assert.deepStrictEqual(alpha.jobIds, [jobs.alpha]);
+    assert.strictEqual((await getJob(jobs.beta)).state, 'dead');
+
+    // Internal callers replay across tenants
+    const payload = {};
+    const internal = await (await request('POST', '/api/jobs/replay-dead', asInternal(payload), payload)).json();
+    assert.deepStrictEqual(internal.jobIds, [jobs.beta]);
+});
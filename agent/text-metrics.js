@@ -0,0 +1,74 @@
+// Text metrics - word counts and token estimates that hold up across scripts
+// Chinese, Japanese and Thai are written without spaces, so words are found with
+// Intl.Segmenter, and tokens are estimated per script instead of ~4 characters each.
+
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+// Scripts written without spaces between words; every segment there is a content word
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+const MIN_MAIN_WORD_LENGTH = 3; // Shorter words in spaced scripts (a, of, to...) are not main content
+
+// Characters per token by script, from typical subword tokenizer output.
+// Estimates err on the high side so input budgets are not overrun.
+const SCRIPT_CHARS_PER_TOKEN = [
+    { pattern: /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/gu, charsPerToken: 1 },
+    { pattern: /\p{Script=Hangul}/gu, charsPerToken: 1.5 },
+    { pattern: /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/gu, charsPerToken: 2 },
+    { pattern: /[\p{Script=Devanagari}\p{Script=Bengali}\p{Script=Gurmukhi}\p{Script=Gujarati}\p{Script=Oriya}\p{Script=Tamil}\p{Script=Telugu}\p{Script=Kannada}\p{Script=Malayalam}\p{Script=Sinhala}]/gu, charsPerToken: 2 },
+    { pattern: /[\p{Script=Arabic}\p{Script=Hebrew}]/gu, charsPerToken: 3 },
+    { pattern: /[\p{Script=Cyrillic}\p{Script=Greek}\p{Script=Armenian}\p{Script=Georgian}]/gu, charsPerToken: 3 }
+];
+const DEFAULT_CHARS_PER_TOKEN = 4; // Latin script, digits, punctuation and whitespace
+
+/**
+ * Count words with script-aware segmentation.
+ * Returns { totalWords, mainWords }; main words leave out short words in spaced
+ * scripts, while every word of an unspaced script (Chinese, Japanese, Thai) counts.
+ * @param {string} text - Plain text
+ * @returns {Object} - Word counts
+ */
+function countWords(text) {
+    let totalWords = 0;
+    let mainWords = 0;
+
+    for (const { segment, isWordLike } of wordSegmenter.segment(text || '')) {
+        if (!isWordLike) {
+            continue;
+        }
+        totalWords++;
+        if (segment.length >= MIN_MAIN_WORD_LENGTH || UNSPACED_SCRIPT.test(segment)) {
+            mainWords++;
+        }
+    }
+
+    return { totalWords, mainWords };
+}
+
+/**
+ * Estimated token count, calibrated per script
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+    if (!/[^\x00-\x7F]/.test(text)) {
+        return Math.ceil(text.length / DEFAULT_CHARS_PER_TOKEN);
+    }
+
+    let tokens = 0;
+    let remaining = text;
+    for (const { pattern, charsPerToken } of SCRIPT_CHARS_PER_TOKEN) {
+        const rest = remaining.replace(pattern, '');
+        tokens += (remaining.length - rest.length) / charsPerToken;
+        remaining = rest;
+    }
+
+    return Math.ceil(tokens + remaining.length / DEFAULT_CHARS_PER_TOKEN);
+}
+
+module.exports = {
+    countWords,
+    estimateTokens
+};
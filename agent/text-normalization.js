@@ -0,0 +1,241 @@
+// Text normalization - the steps cleanContentForAI runs on each block during extraction,
+// before filtering, token estimates and language detection, so all of them see what the model gets.
+// Steps can be turned on and off and reordered per request, and default per input format.
+
+const { INPUT_FORMATS, decodeEntities } = require('./input-adapters');
+
+// Query parameters that only track the click (utm_source, fbclid, ...)
+const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|yclid|_hsenc|_hsmi|mkt_tok|ref_src|spm)$/i;
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>()"'\]]+[^\s<>()"'\].,;:!?]/gi;
+const SHORT_URL_LENGTH = 60;
+
+// An emoji with its variation selector, skin tone and ZWJ-joined parts
+const EMOJI = '\\p{Extended_Pictographic}(?:\\uFE0F|\\p{Emoji_Modifier}|\\u200D\\p{Extended_Pictographic})*';
+const EMOJI_RUN = new RegExp(`(${EMOJI})(?:[ \\t]*${EMOJI})+`, 'gu');
+const EMOJI_SEQUENCE = new RegExp(`${EMOJI}[ \\t]?`, 'gu');
+
+// Zero-width spaces, word joiners, BOMs, soft hyphens and bidi controls.
+// ZWNJ and ZWJ are kept: Persian spelling and emoji sequences depend on them.
+const INVISIBLE_CHARACTERS = /[\u00AD\u180E\u200B\u200E\u200F\u202A-\u202E\u2060-\u2064\u2066-\u2069\uFEFF]/g;
+
+function stripTrackingParams(url) {
+    try {
+        const parsed = new URL(url);
+        for (const name of [...parsed.searchParams.keys()]) {
+            if (TRACKING_PARAM.test(name)) {
+                parsed.searchParams.delete(name);
+            }
+        }
+        return parsed.toString().replace(/\?$/, '');
+    } catch (error) {
+        return url;
+    }
+}
+
+function shortenUrl(url) {
+    try {
+        const parsed = new URL(url);
+        const short = `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/$/, '')}`;
+        return short.length > SHORT_URL_LENGTH ? `${short.slice(0, SHORT_URL_LENGTH - 1)}…` : short;
+    } catch (error) {
+        return url;
+    }
+}
+
+// A fenced code block as content-extractor renders it; whitespace inside is part of the code
+const CODE_FENCE = /(^```[^\n]*\n[\s\S]*?\n```$)/m;
+
+// Apply a step to the text outside fenced code blocks only
+function outsideCode(apply) {
+    return text => text.split(CODE_FENCE)
+        .map((part, index) => index % 2 === 1 ? part : apply(part))
+        .join('');
+}
+
+// Steps in their canonical order, used when steps are enabled on top of a default
+const NORMALIZATION_STEPS = {
+    'nfkc': {
+        description: 'Unicode NFKC: compatibility forms such as full-width letters and ligatures become plain characters',
+        apply: text => text.normalize('NFKC')
+    },
+    'html-entities': {
+        description: 'Decode HTML entities (&amp;, &nbsp;, &#8217;...)',
+        apply: decodeEntities
+    },
+    'invisible-characters': {
+        description: 'Remove zero-width characters, soft hyphens, BOMs and bidi controls',
+        apply: text => text.replace(INVISIBLE_CHARACTERS, '')
+    },
+    'control-characters': {
+        description: 'Normalize line breaks and replace control characters other than tabs and line breaks',
+        apply: text => text.replace(/\r\n?/g, '\n').replace(/[\x00-\x08\x0B-\x1F\x7F]/g, ' ')
+    },
+    'tracking-params': {
+        description: 'Remove tracking query parameters (utm_*, fbclid, gclid...) from URLs',
+        apply: text => text.replace(URL_PATTERN, stripTrackingParams)
+    },
+    'shorten-urls': {
+        description: `Reduce URLs to host and path, at most ${SHORT_URL_LENGTH} characters`,
+        apply: text => text.replace(URL_PATTERN, shortenUrl)
+    },
+    'remove-urls': {
+        description: 'Remove URLs',
+        apply: text => text.replace(URL_PATTERN, '')
+    },
+    'collapse-emoji': {
+        description: 'Collapse runs of emoji into the first one',
+        apply: text => text.replace(EMOJI_RUN, '$1')
+    },
+    'remove-emoji': {
+        description: 'Remove emoji',
+        apply: text => text.replace(EMOJI_SEQUENCE, '')
+    },
+    'whitespace': {
+        description: 'Collapse runs of spaces inside lines, keeping indentation, and drop trailing spaces (code blocks are left as they are)',
+        apply: outsideCode(text => text.replace(/(\S)[ \t]+/g, '$1 ').replace(/[ \t]+$/gm, ''))
+    },
+    'preserve-paragraphs': {
+        description: 'Keep paragraphs, with at most one blank line between them',
+        apply: text => text.replace(/\n{3,}/g, '\n\n')
+    },
+    'flatten-whitespace': {
+        description: 'Join everything into one paragraph separated by single spaces (code blocks are left as they are)',
+        apply: outsideCode(text => text.replace(/\s+/g, ' '))
+    }
+};
+
+const STEP_NAMES = Object.keys(NORMALIZATION_STEPS);
+
+const DEFAULT_NORMALIZATION = [
+    'html-entities', 'invisible-characters', 'control-characters', 'tracking-params',
+    'collapse-emoji', 'whitespace', 'preserve-paragraphs'
+];
+
+// Defaults by input format: scraped HTML is full of compatibility characters (and its adapter
+// already decoded entities; decoding again would turn a literal "&amp;lt;" into "<"),
+// and emoji in chat messages are part of what was said
+const FORMAT_NORMALIZATION = {
+    html: ['nfkc', ...DEFAULT_NORMALIZATION.filter(step => step !== 'html-entities')],
+    chat: DEFAULT_NORMALIZATION.filter(step => step !== 'collapse-emoji')
+};
+
+function createNormalizationError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_NORMALIZATION';
+    return error;
+}
+
+function parseStepList(value, field) {
+    const steps = typeof value === 'string' ? value.split(',').map(step => step.trim()).filter(Boolean) : value;
+    if (!Array.isArray(steps) || !steps.every(step => typeof step === 'string')) {
+        throw createNormalizationError(`${field} must be an array of step names`);
+    }
+    const unknown = steps.filter(step => !NORMALIZATION_STEPS[step]);
+    if (unknown.length > 0) {
+        throw createNormalizationError(`Unknown normalization step: ${unknown.join(', ')} (use: ${STEP_NAMES.join(', ')})`);
+    }
+    return [...new Set(steps)];
+}
+
+/**
+ * Validate a requested normalization. Accepts:
+ *   ['nfkc', 'whitespace', ...] or 'nfkc,whitespace' - exactly these steps, in this order
+ *   'none' or []                                     - no steps
+ *   { enable: [...], disable: [...] }                - changes to the input format's default
+ * Returns { steps } or { enable, disable }, or null when nothing was requested.
+ * Throws INVALID_NORMALIZATION for anything else.
+ */
+function parseNormalization(value) {
+    if (value === undefined || value === null || value === '' || value === 'default') {
+        return null;
+    }
+    if (value === 'none') {
+        return { steps: [] };
+    }
+    if (typeof value === 'string' || Array.isArray(value)) {
+        return { steps: parseStepList(value, 'normalization') };
+    }
+    if (typeof value === 'object') {
+        const extra = Object.keys(value).filter(key => key !== 'enable' && key !== 'disable');
+        if (extra.length > 0) {
+            throw createNormalizationError(`Unknown normalization option: ${extra.join(', ')} (use enable and disable)`);
+        }
+        return {
+            enable: value.enable === undefined ? [] : parseStepList(value.enable, 'normalization.enable'),
+            disable: value.disable === undefined ? [] : parseStepList(value.disable, 'normalization.disable')
+        };
+    }
+    throw createNormalizationError('normalization must be a list of steps, "none" or { enable, disable }');
+}
+
+/**
+ * Server default for an input format: TEXT_NORMALIZATION_<FORMAT>, then
+ * TEXT_NORMALIZATION (comma-separated step lists), then the built-in default
+ */
+function getDefaultNormalization(format) {
+    for (const name of [format && `TEXT_NORMALIZATION_${format.toUpperCase()}`, 'TEXT_NORMALIZATION']) {
+        const configured = name && process.env[name];
+        if (configured) {
+            try {
+                return parseNormalization(configured).steps;
+            } catch (error) {
+                console.warn(`⚠️ Ignoring ${name}: ${error.message}`);
+            }
+        }
+    }
+    return FORMAT_NORMALIZATION[format] || DEFAULT_NORMALIZATION;
+}
+
+/**
+ * Ordered steps for a document: a parsed request (see parseNormalization)
+ * applied to the default for its input format
+ */
+function resolveNormalization(requested, format) {
+    if (requested?.steps) {
+        return requested.steps;
+    }
+
+    const disabled = requested?.disable || [];
+    const steps = getDefaultNormalization(format).filter(step => !disabled.includes(step));
+    for (const step of requested?.enable || []) {
+        if (steps.includes(step)) {
+            continue;
+        }
+        // An enabled step runs before the first step that comes after it in canonical order
+        const position = steps.findIndex(other => STEP_NAMES.indexOf(other) > STEP_NAMES.indexOf(step));
+        steps.splice(position === -1 ? steps.length : position, 0, step);
+    }
+    return steps;
+}
+
+/**
+ * Run normalization steps over text in order. Surrounding blank lines and trailing
+ * spaces are always removed; the first line keeps its indentation (nested list items)
+ */
+function normalizeText(text, steps = DEFAULT_NORMALIZATION) {
+    let normalized = text;
+    for (const step of steps) {
+        normalized = NORMALIZATION_STEPS[step].apply(normalized);
+    }
+    return normalized.replace(/^\s*\n|\s+$/g, '');
+}
+
+/**
+ * Available steps and defaults, for the API
+ */
+function listNormalizationSteps() {
+    return {
+        steps: STEP_NAMES.map(name => ({ name, description: NORMALIZATION_STEPS[name].description })),
+        defaults: Object.fromEntries(
+            INPUT_FORMATS.map(format => [format, getDefaultNormalization(format)])
+        )
+    };
+}
+
+module.exports = {
+    DEFAULT_NORMALIZATION,
+    parseNormalization,
+    resolveNormalization,
+    normalizeText,
+    listNormalizationSteps
+};
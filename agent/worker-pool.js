@@ -0,0 +1,189 @@
+// Worker Pool - Runs several queue workers against the shared queue.db
+// Workers run in-process ('inline') or as forked child processes ('fork')
+
+const { fork } = require('child_process');
+const { QueueWorker } = require('./queue-worker');
+
+class WorkerPool {
+    constructor(name = 'default', options = {}) {
+        this.name = name;
+        this.size = options.size || 1; // Number of workers in the pool
+        this.concurrency = options.concurrency || 1; // Jobs processed at once by each worker
+        this.mode = options.mode === 'fork' ? 'fork' : 'inline';
+        this.workerOptions = options.workerOptions || {};
+        this.respawnDelay = options.respawnDelay || 5000; // Wait before replacing a crashed child
+
+        this.isRunning = false;
+        this.workers = []; // QueueWorker instances (inline mode)
+        this.children = new Map(); // workerId -> { process, stats } (fork mode)
+
+        console.log(`🏊 Worker pool '${this.name}' initialized: ${this.size} x ${this.mode} worker(s), concurrency ${this.concurrency} each`);
+    }
+
+    /**
+     * Start all workers in the pool
+     */
+    async start() {
+        if (this.isRunning) {
+            console.log(`⚠️ Worker pool '${this.name}' is already running`);
+            return;
+        }
+
+        this.isRunning = true;
+
+        for (let index = 0; index < this.size; index++) {
+            const workerId = `${this.name}-${process.pid}-${index}`;
+
+            if (this.mode === 'fork') {
+                this.spawnChild(workerId);
+            } else {
+                const worker = new QueueWorker(workerId, {
+                    ...this.workerOptions,
+                    concurrency: this.concurrency
+                });
+                this.workers.push(worker);
+                await worker.start();
+            }
+        }
+    }
+
+    /**
+     * Fork a child process running a single queue worker
+     */
+    spawnChild(workerId) {
+        const child = fork(__filename, [], {
+            env: {
+                ...process.env,
+                QUEUE_WORKER_ID: workerId,
+                QUEUE_WORKER_CONCURRENCY: String(this.concurrency),
+                QUEUE_WORKER_OPTIONS: JSON.stringify(this.workerOptions)
+            }
+        });
+
+        const entry = { process: child, stats: null };
+        this.children.set(workerId, entry);
+
+        child.on('message', (message) => {
+            if (message?.type === 'stats') {
+                entry.stats = message.stats;
+            }
+        });
+
+        child.on('exit', (code, signal) => {
+            if (this.children.get(workerId) !== entry) {
+                return;
+            }
+            this.children.delete(workerId);
+
+            if (this.isRunning) {
+                // Jobs it held are recovered once their leases expire
+                console.error(`❌ Worker process ${workerId} exited unexpectedly (code: ${code}, signal: ${signal}), respawning in ${this.respawnDelay}ms`);
+                setTimeout(() => {
+                    if (this.isRunning && !this.children.has(workerId)) {
+                        this.spawnChild(workerId);
+                    }
+                }, this.respawnDelay);
+            }
+        });
+
+        console.log(`🍴 Forked worker process ${workerId} (pid ${child.pid})`);
+    }
+
+    /**
+     * Stop all workers, waiting for their active jobs to finish
+     */
+    async stop() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        console.log(`🛑 Stopping worker pool '${this.name}'`);
+        this.isRunning = false;
+
+        await Promise.all(this.workers.map(worker => worker.stop()));
+        this.workers = [];
+
+        await Promise.all([...this.children.values()].map(({ process: child }) => new Promise((resolve) => {
+            child.once('exit', resolve);
+            child.send({ type: 'stop' });
+        })));
+        this.children.clear();
+
+        console.log(`✅ Worker pool '${this.name}' stopped`);
+    }
+
+    /**
+     * Get pool statistics, aggregated over all workers
+     */
+    getStats() {
+        const workerStats = this.mode === 'fork'
+            ? [...this.children.entries()].map(([workerId, entry]) => entry.stats || { workerId, isRunning: true })
+            : this.workers.map(worker => worker.getStats());
+
+        return {
+            name: this.name,
+            mode: this.mode,
+            size: this.size,
+            concurrency: this.concurrency,
+            isRunning: this.isRunning,
+            activeJobs: workerStats.reduce((sum, stats) => sum + (stats.activeJobs || 0), 0),
+            processedJobs: workerStats.reduce((sum, stats) => sum + (stats.processedJobs || 0), 0),
+            failedJobs: workerStats.reduce((sum, stats) => sum + (stats.failedJobs || 0), 0),
+            workers: workerStats
+        };
+    }
+}
+
+/**
+ * Build a pool from WORKER_POOL_SIZE, WORKER_CONCURRENCY and WORKER_POOL_MODE
+ */
+function createPoolFromEnvironment(name = 'default') {
+    return new WorkerPool(name, {
+        size: parseInt(process.env.WORKER_POOL_SIZE) || 1,
+        concurrency: parseInt(process.env.WORKER_CONCURRENCY) || 1,
+        mode: process.env.WORKER_POOL_MODE || 'inline'
+    });
+}
+
+// Entry point for forked worker processes
+if (require.main === module) {
+    require('dotenv').config();
+    const { closeQueueDatabase } = require('./queue-database');
+
+    const worker = new QueueWorker(process.env.QUEUE_WORKER_ID, {
+        ...JSON.parse(process.env.QUEUE_WORKER_OPTIONS || '{}'),
+        concurrency: parseInt(process.env.QUEUE_WORKER_CONCURRENCY) || 1
+    });
+
+    const reportStats = setInterval(() => {
+        process.send?.({ type: 'stats', stats: worker.getStats() });
+    }, 2000);
+
+    let stopping = false;
+    const shutdown = async () => {
+        if (stopping) {
+            return;
+        }
+        stopping = true;
+        clearInterval(reportStats);
+        await worker.stop();
+        await closeQueueDatabase();
+        process.exit(0);
+    };
+
+    process.on('message', (message) => {
+        if (message?.type === 'stop') {
+            shutdown();
+        }
+    });
+    // The parent handles signals and stops children over IPC
+    process.on('SIGINT', () => {});
+    process.on('disconnect', shutdown);
+
+    worker.start();
+}
+
+module.exports = {
+    WorkerPool,
+    createPoolFromEnvironment
+};